@@ -0,0 +1,124 @@
+// globally shared state and data objects plus some useful common shortcuts and functions
+import {yaml, data} from "./main.js";
+import {$, $hasProp, $typeOf, escapeHtml, html2text} from "./common.js";
+import {getType} from "./types.js";
+
+
+// the data types whose values can be summed up and averaged
+const numericTypes = ["int", "float", "bytes", "duration"];
+
+// the known aggregate functions, each one takes the list of the non-empty cells (see aggregateColumn()) and the column
+// and returns the aggregated value as the text to be displayed ('count' is the only one accepting no cells at all)
+const aggregates = {
+    count:    (cells) => String(cells.length),
+    distinct: (cells) => String(new Set(cells.map(cell => cell.match)).size),
+    sum:      (cells, column) => formatNumber(cells.reduce((sum, cell) => sum + cell.cmp, 0), column),
+    avg:      (cells, column) => formatNumber(cells.reduce((sum, cell) => sum + cell.cmp, 0) / cells.length, column),
+    min:      (cells, column) => cellText(cells.reduce((min, cell) => (compareCells(cell, min, column) < 0) ? cell : min)),
+    max:      (cells, column) => cellText(cells.reduce((max, cell) => (compareCells(cell, max, column, true) > 0) ? cell : max)),
+    earliest: (cells, column) => aggregates.min(cells, column),
+    latest:   (cells, column) => aggregates.max(cells, column),
+    highest:  (cells, column) => aggregates.max(cells, column)
+};
+
+// the data types the aggregate functions can be used with (the functions not listed here work with any data type)
+const aggregateTypes = {
+    sum:      numericTypes,
+    avg:      numericTypes,
+    earliest: ["date"],
+    latest:   ["date"],
+    highest:  ["version"]
+};
+
+
+// the displayed text of the cell
+const cellText = (cell) => html2text(cell.html || "");
+
+// rounds the number to two decimal places at most (the sums and averages do not need more) and displays it
+// the way the data type displays its values (e.g. the sizes in the units of the column, see 'format' in registerType())
+const formatNumber = (num, column) => html2text(getType(column.type).format(Math.round(num * 100) / 100, column));
+
+
+// compares two cells by their 'cmp' representation, the ranges (intrange, ip) by their 'cmpMin' and then by
+// their 'cmpMax' representation or the other way round (when looking for the highest value), unless the data type
+// of the column has its own comparison function (see 'compare' in registerType()), the same one as for sorting
+function compareCells(a, b, column, maxFirst = false) {
+
+    const compare = getType(column.type).compare;
+
+    if (compare) {
+        return Math.sign(compare(a, b)) || 0;
+    }
+
+    let x = [a.cmp];
+    let y = [b.cmp];
+
+    if ($hasProp(a, "cmpMin")) {
+        x = maxFirst ? [a.cmpMax, a.cmpMin] : [a.cmpMin, a.cmpMax];
+        y = maxFirst ? [b.cmpMax, b.cmpMin] : [b.cmpMin, b.cmpMax];
+    }
+
+    const idx = x.findIndex((value, i) => value !== y[i]);
+    return (idx === -1) ? 0 : ((x[idx] > y[idx]) ? 1 : -1);
+}
+
+
+// returns the list of aggregate functions of the column (see 'aggregate' in 'specs.yml') that fit its data type
+function getAggregates(column) {
+    return (Array.isArray(column.aggregate) ? column.aggregate : [column.aggregate])
+        .filter(name => $hasProp(aggregates, name))
+        .filter(name => !$hasProp(aggregateTypes, name) || aggregateTypes[name].includes(column.type));
+}
+
+
+// computes the aggregate functions of the column (see 'aggregate' in 'specs.yml') over the given data rows
+// returns the list of objects with the function name (.name) and the aggregated value as text (.text)
+// the malformed values are left out, and so are the functions (except 'count') if there are no values to aggregate
+// (the lists of values, see 'multi' in 'specs.yml', are aggregated by their items)
+function aggregateColumn(column, rowIDs) {
+
+    const cells = rowIDs.flatMap(rowID => data[rowID][column.key].items || [data[rowID][column.key]])
+        .filter(cell => !cell.cssClass.includes("bad-value") && $typeOf(cell.html) === "String")
+        .filter(cell => !numericTypes.includes(column.type) || Number.isFinite(cell.cmp));
+
+    return getAggregates(column)
+        .filter(name => cells.length || name === "count")
+        .map(name => ({name: name, text: aggregates[name](cells, column)}));
+}
+
+
+// returns the aggregates of each of the given columns over the given data rows as text (an empty string for the
+// columns without aggregates), or 'null' if none of the columns has any aggregates (see 'aggregate' in 'specs.yml')
+function getFooter(columns, rowIDs) {
+
+    if (!columns.some(column => getAggregates(column).length)) {
+        return null;
+    }
+
+    return columns.map(column => aggregateColumn(column, rowIDs).map(res => res.name + ": " + res.text).join(", "));
+}
+
+
+// draws the table footer with the aggregates of the columns over the rows passing the filter
+// (nothing is drawn if none of the columns in the current view has any aggregates)
+function renderFooter(rowIDs) {
+
+    const columns = yaml.specs.view || [];
+
+    if (!columns.some(column => getAggregates(column).length)) {
+        $("#data-table tfoot").innerHTML = "";
+        return;
+    }
+
+    $("#data-table tfoot").innerHTML = "<tr>" + columns.map(column =>
+        "<td" + (column.cssClass.length ? " class=\"" + column.cssClass.join(" ") + "\"" : "") + ">" +
+        aggregateColumn(column, rowIDs).map(res =>
+            "<div><span class=\"aggregate-name\">" + res.name + "</span> " + escapeHtml(res.text) + "</div>"
+        ).join("") + "</td>"
+    ).join("") + "</tr>";
+}
+
+
+// this module provides aggregate functions computed over table columns, shown in the group header rows
+// and in the table footer (and optionally included in the exported data)
+export {aggregateColumn, getFooter, renderFooter};
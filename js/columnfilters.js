@@ -0,0 +1,298 @@
+// globally shared state and data objects plus some useful common shortcuts and functions
+import {yaml} from "./main.js";
+import {$, $$, escapeHtml} from "./common.js";
+import {describeFilter} from "./filtersort.js";
+import {getDistinctValues, setFilterError, setFilterWarnings} from "./filterinput.js";
+
+
+// the data types that get the min / max boxes in the column filter row (all the other types get the regex box,
+// except for 'ip' and 'mac' that get the subnet / prefix box and 'bool' that only gets the list of values, see renderColumnFilters())
+const rangeTypes = ["int", "float", "bytes", "duration", "enum", "intrange", "date", "version"];
+
+// the columns with more distinct values than this get no checkbox list (just the note saying so)
+const maxValues = 100;
+
+
+// returns the value as it should be written in the filter (quoted if needed, same as createFilter() does)
+const quote = (value) => (!value || value.match(/[\s<>()!=~@,]/)) ? "\"" + value + "\"" : value;
+
+// returns the value as it is written in the filter without the surrounding quotes
+const unquote = (value) => value.replace(/^"(.*)"$/, "$1");
+
+
+// describes the filter string as the list of its top level parts joined with AND, each part being an object with
+// the column key (.key), the kind of condition it holds for that column (.slot: 'text', 'min', 'max', 'range' or
+// 'list'), its value(s) (.values) and its text (.text); the parts the column filter row cannot show (any other
+// statements, search terms, parenthesized expressions) have no .key, and if there is OR on the top level,
+// the whole filter is a single part like that (parenthesized, so that more statements can be joined to it)
+function getFilterParts(filter) {
+
+    const groups = [[]];
+    let depth = 0;
+    let topLevelOR = false;
+
+    describeFilter(filter).forEach(token => {
+        if (token.kind === "paren") {
+            depth += (token.token === ")") ? -1 : 1;
+        }
+        if (depth === 0 && token.kind === "logic" && token.token.toUpperCase() === "AND") {
+            groups.push([]);
+        } else {
+            topLevelOR = topLevelOR || (depth === 0 && token.kind === "logic");
+            groups[groups.length - 1].push(token);
+        }
+    });
+
+    // with OR on the top level, the filter cannot be split into the parts joined by AND
+    if (topLevelOR) {
+        return [{text: "(" + filter.trim() + ")", values: []}];
+    }
+
+    // the keys of the columns that already have a condition of the given kind, only the first one is shown
+    const seen = new Set();
+
+    return groups.filter(group => group.length).map(group => {
+
+        const text = filter.substring(group[0].start, group[group.length - 1].end);
+        const part = {text: text, values: []};
+
+        // only the simple statements ('key operator value') can be shown in the column filter row
+        if (group.length !== 3 || group[0].kind !== "key" || group[0].token === "*" || group[2].kind !== "value") {
+            return part;
+        }
+
+        const column = yaml.specs.table.find(col => col.key === group[0].token);
+        const type = column.type || "str";
+        const operator = group[1].token.toUpperCase().replace(/\s+/g, " ");
+        const value = group[2].token;
+        let slot, values;
+
+        if (operator === "~" && !rangeTypes.includes(type) && !["ip", "mac", "bool"].includes(type)) {
+            slot = "text";
+            values = [unquote(value)];
+
+        } else if ((operator === ">=" || operator === "<=") && rangeTypes.includes(type)) {
+            slot = (operator === ">=") ? "min" : "max";
+            values = [unquote(value)];
+
+        } else if (operator === "BETWEEN" && rangeTypes.includes(type)) {
+            const range = value.match(/^("[^"]*"|\S+)\s+AND\s+("[^"]*"|\S+)$/i);
+            slot = range ? "range" : undefined;
+            values = range ? [unquote(range[1]), unquote(range[2])] : [];
+
+        // '=' is the same as the single item list, except for 'ip' where the list holds the subnets
+        } else if (operator === "IN" || ((operator === "=" || operator === "==") && type !== "ip")) {
+            slot = "list";
+            values = (operator === "IN") ? (value.slice(1, -1).match(/"[^"]*"|[^,]+/g) || []) : [value];
+            values = values.map(item => unquote(item.trim())).filter(item => item !== "");
+        }
+
+        // the 'range' condition takes both the 'min' and 'max' slots
+        const slots = (slot === "range") ? ["min", "max"] : [slot];
+
+        if (slot && !slots.some(item => seen.has(column.key + " " + item))) {
+            slots.forEach(item => seen.add(column.key + " " + item));
+            Object.assign(part, {key: column.key, slot: slot, values: values});
+        }
+
+        return part;
+    });
+}
+
+
+// collects the conditions of all the columns from the filter parts (see getFilterParts()),
+// returns an object with column keys as keys and objects with .text, .min, .max and .list as values
+function getConditions(parts) {
+
+    const conditions = {};
+
+    parts.filter(part => part.key).forEach(part => {
+        const condition = conditions[part.key] || (conditions[part.key] = {text: "", min: "", max: "", list: []});
+        if (part.slot === "range") {
+            [condition.min, condition.max] = part.values;
+        } else if (part.slot === "list") {
+            condition.list = part.values;
+        } else {
+            condition[part.slot] = part.values[0];
+        }
+    });
+
+    return conditions;
+}
+
+
+// returns the HTML code of the column filter row of the table header (an empty string if it is not enabled),
+// each column gets the controls that fit its data type: the regex box (for text), the min / max boxes (for
+// numbers, dates and versions) or the subnet / prefix box (for IP / MAC addresses), plus the dropdown for the checkbox list
+// of distinct values (the list itself is filled when the dropdown is opened for the first time)
+function renderColumnFilters() {
+
+    if (yaml.specs.options.filter !== true || yaml.specs.options.columnFilters !== true) {
+        return "";
+    }
+
+    return "<tr class=\"column-filters\">" + (yaml.specs.view || []).map(column => {
+
+        const type = column.type || "str";
+        let html;
+
+        if (rangeTypes.includes(type)) {
+            html = "<input type=\"text\" class=\"column-min\" placeholder=\"" + (type === "date" ? "from" : "min") + "\">" +
+                "<input type=\"text\" class=\"column-max\" placeholder=\"" + (type === "date" ? "to" : "max") + "\">";
+        } else if (type === "ip") {
+            html = "<input type=\"text\" class=\"column-list\" placeholder=\"subnets\">";
+        } else if (type === "mac") {
+            html = "<input type=\"text\" class=\"column-list\" placeholder=\"prefixes\">";
+        } else if (type === "bool") {
+            html = "";
+        } else {
+            html = "<input type=\"text\" class=\"column-text\" placeholder=\"regex\">";
+        }
+
+        html += "<details class=\"column-values\"><summary title=\"Choose the values\"></summary><div></div></details>";
+
+        return "<td data-key=\"" + escapeHtml(column.key) + "\">" + html + "</td>";
+
+    }).join("") + "</tr>";
+}
+
+
+// fills the checkbox list of distinct values of the column (see renderColumnFilters()) unless it is already filled
+// the values are referred to by their index in the list of distinct values (see getDistinctValues())
+function renderValues($details) {
+
+    const $list = $details.querySelector("div");
+    const values = getDistinctValues($details.closest("td").dataset.key);
+
+    if ($list.innerHTML) {
+        return;
+    }
+
+    if (values.length > maxValues) {
+        $list.innerHTML = "<small>Too many values (" + values.length + ") to choose from</small>";
+    } else {
+        $list.innerHTML = values.map((value, idx) =>
+            "<label><input type=\"checkbox\" data-idx=\"" + idx + "\">" + escapeHtml(unquote(value)) + "</label>"
+        ).join("") || "<small>No values</small>";
+    }
+
+    syncColumnFilters();
+}
+
+
+// sets the controls of the column filter row to show the conditions of the current filter
+function syncColumnFilters() {
+
+    const conditions = getConditions(getFilterParts($("#filter").value));
+
+    $$("#data-table thead tr.column-filters td").forEach($td => {
+
+        const key = $td.dataset.key;
+        const condition = conditions[key] || {text: "", min: "", max: "", list: []};
+        const listed = condition.list.map(item => item.toUpperCase());
+
+        [[".column-text", condition.text], [".column-min", condition.min], [".column-max", condition.max],
+            [".column-list", condition.list.join(", ")]].forEach(([selector, value]) => {
+            if ($td.querySelector(selector)) {
+                $td.querySelector(selector).value = value;
+            }
+        });
+
+        $td.querySelectorAll(".column-values input").forEach($input => {
+            $input.checked = listed.includes(unquote(getDistinctValues(key)[$input.dataset.idx]).toUpperCase());
+        });
+
+        // the columns being filtered are highlighted
+        $td.classList.toggle("active", Boolean(condition.text || condition.min || condition.max || condition.list.length));
+    });
+}
+
+
+// builds the filter statements for the column from its controls, replaces the column's statements in the filter
+// (the rest of the filter is kept as it is) and applies the resulting filter
+function changeColumnFilter(event) {
+
+    const $td = event.target.closest("td");
+    const key = $td.dataset.key;
+    const parts = getFilterParts($("#filter").value);
+    const condition = getConditions(parts)[key] || {text: "", min: "", max: "", list: []};
+    const get = (selector) => $td.querySelector(selector) ? $td.querySelector(selector).value.trim() : "";
+
+    // the list is made of the subnets / prefixes typed in (for 'ip' and 'mac'), or of the items already in the filter otherwise,
+    // with the values unchecked in the checkbox list removed and the checked ones added
+    let list = $td.querySelector(".column-list")
+        ? get(".column-list").split(",").map(item => item.trim()).filter(item => item !== "")
+        : condition.list;
+
+    $td.querySelectorAll(".column-values input").forEach($input => {
+        const value = unquote(getDistinctValues(key)[$input.dataset.idx]);
+        list = list.filter(item => item.toUpperCase() !== value.toUpperCase());
+        if ($input.checked) {
+            list.push(value);
+        }
+    });
+
+    // the statements are built in the same order as the controls follow each other
+    const [text, min, max] = [get(".column-text"), get(".column-min"), get(".column-max")];
+    const statements = [];
+
+    if (text) {
+        statements.push(key + " ~ " + quote(text));
+    }
+    if (min && max) {
+        statements.push(key + " BETWEEN " + quote(min) + " AND " + quote(max));
+    } else if (min) {
+        statements.push(key + " >= " + quote(min));
+    } else if (max) {
+        statements.push(key + " <= " + quote(max));
+    }
+    if (list.length) {
+        statements.push(key + " IN (" + list.map(quote).join(", ") + ")");
+    }
+
+    // the new statements take the place of the first of the column's old ones (or go to the end of the filter)
+    const idx = parts.findIndex(part => part.key === key);
+    const texts = parts.filter(part => part.key !== key).map(part => part.text);
+    texts.splice(idx > -1 ? idx : texts.length, 0, ...statements);
+
+    $("#filter").value = texts.join(" AND ");
+
+    // hide error message placeholder (the filter input is re-coloured after the change, too)
+    setFilterError(null);
+    setFilterWarnings([]);
+
+    // apply the filter the same way as if the user has clicked the button
+    if ($("#filter").value || $("#search").value.trim()) {
+        $("#filter-apply").click();
+    } else {
+        $("#filter-clear").click();
+    }
+}
+
+
+// enables the behaviour of the column filter row (it is drawn by renderHeader(), see renderColumnFilters())
+function setupColumnFilters() {
+
+    if (yaml.specs.options.columnFilters !== true) {
+        return;
+    }
+
+    // the table header is redrawn when the view changes, so the handler is registered for the whole header
+    $("#data-table thead").addEventListener("change", event => {
+        if (event.target.closest("tr.column-filters")) {
+            changeColumnFilter(event);
+        }
+    });
+    $("#data-table thead").addEventListener("click", event => {
+        if (event.target.localName === "summary" && event.target.closest("tr.column-filters")) {
+            renderValues(event.target.parentNode);
+        }
+    });
+
+    // the controls follow the filter whenever it is applied or cleared (including the state loaded from the URL)
+    ["postFilter", "clearFilter", "applyState"].forEach(eventName => document.addEventListener(eventName, syncColumnFilters));
+}
+
+
+// this module provides the column filter row of the table header
+export {renderColumnFilters, setupColumnFilters};
@@ -0,0 +1,136 @@
+// globally shared state and data objects plus some useful common shortcuts and functions
+import {yaml, data} from "./main.js";
+import {$hasProp, $typeOf, html2text} from "./common.js";
+import {normalizeValue} from "./types.js";
+import {compileFilter} from "./filtersort.js";
+import {testRow} from "./evaluate.js";
+import {getPath, getSourcePath} from "./mapping.js";
+
+
+// the number of milliseconds in a day (the 'age' of dates is counted in whole days)
+const dayLength = 86400000;
+
+
+// the text of the cell used in the string templates: the raw value if it is a plain string or number,
+// the displayed text otherwise (e.g. the formatted date)
+function cellText(cell) {
+
+    if (!cell) {
+        return "";
+    }
+
+    return ["String", "Number"].includes($typeOf(cell.value)) ? String(cell.value) : html2text(cell.html || "");
+}
+
+
+// replaces the {key} placeholders in the template with the texts of the row's cells (see cellText())
+function fillTemplate(template, row) {
+    return template.replace(/\{([^{}]+)\}/g, (placeholder, key) => cellText(row[key.trim()]));
+}
+
+
+// turns the 'compute' rule of the column (see 'specs.yml') into the function that takes the data row
+// and returns the computed value, the rule is one of the following:
+//    - a string: the template with {key} placeholders replaced with the cell texts of the row
+//    - {lookup: 'path', key: 'key', by: 'path', field: 'path', default: ...}: the value of the row's 'key' cell
+//      looked up in the loaded YAML data at the path (see getSourcePath()), either as the map key or, if 'by' is given,
+//      as the value at that path within the items of the list or map (i.e. the join of the two sets of records),
+//      optionally the value at the 'field' path within the item found is taken
+//    - {width: 'key'}: the number of integers in the range of the 'intrange' cell
+//    - {age: 'key'}: the number of whole days since the date of the 'date' cell
+//    - {if: 'filter', then: rule, else: rule}: one of two rules depending on the filter expression
+//      being true for the row (the filter language is the same as in the filter input)
+//    - any other scalar value: the value itself
+// the rules that cannot be used (unknown or malformed) always give 'undefined', i.e. the bad value
+function compileRule(rule) {
+
+    const type = $typeOf(rule);
+
+    if (type === "String") {
+        return (row) => fillTemplate(rule, row);
+
+    } else if (type !== "Object") {
+        return () => rule;
+
+    } else if ($hasProp(rule, "lookup")) {
+        const source = getSourcePath(rule.lookup);
+        // (the items looked up by the value at the 'by' path are indexed once, the first item wins, as with find())
+        const index = new Map();
+        if ($hasProp(rule, "by") && ["Array", "Object"].includes($typeOf(source))) {
+            Object.values(source).forEach(item => {
+                const key = String(getPath(item, rule.by));
+                if (!index.has(key)) {
+                    index.set(key, item);
+                }
+            });
+        }
+        return (row) => {
+            const key = row[rule.key] ? String(row[rule.key].value) : undefined;
+            let found;
+            if ($hasProp(rule, "by")) {
+                found = (key !== undefined) ? index.get(key) : undefined;
+            } else if ($typeOf(source) === "Object" && key !== undefined) {
+                found = source[key];
+            }
+            const value = (found !== undefined && $hasProp(rule, "field")) ? getPath(found, rule.field) : found;
+            return (value === undefined) ? rule.default : value;
+        };
+
+    } else if ($hasProp(rule, "width")) {
+        return (row) => {
+            const cell = row[rule.width];
+            return (cell && !cell.cssClass.includes("bad-value") && Number.isFinite(cell.cmpMin) && Number.isFinite(cell.cmpMax))
+                ? cell.cmpMax - cell.cmpMin + 1
+                : undefined;
+        };
+
+    } else if ($hasProp(rule, "age")) {
+        return (row) => {
+            const cell = row[rule.age];
+            return (cell && !cell.cssClass.includes("bad-value") && $typeOf(cell.cmp) === "Number" && cell.cmp)
+                ? Math.floor((Date.now() - cell.cmp) / dayLength)
+                : undefined;
+        };
+
+    } else if ($hasProp(rule, "if")) {
+        const filterRPN = compileFilter(String(rule.if));
+        if (!Array.isArray(filterRPN)) {
+            return () => undefined;
+        }
+        const [ifTrue, ifFalse] = [compileRule(rule.then), compileRule(rule.else)];
+        return (row) => testRow(filterRPN, row) ? ifTrue(row) : ifFalse(row);
+    }
+
+    return () => undefined;
+}
+
+
+// fills the cells of the columns that have the 'compute' rule (see 'specs.yml') in every data row,
+// the computed values then go through normalizeValue() like any other value supplied by 'data.js'
+// all the other cells are normalized first (the rules work with the normalized cells), and the columns are
+// computed in the order of the 'table' list, so a rule can use the columns computed before it
+// returns 'true' if the data rows have been normalized (so that preRenderBody() does not have to do it again)
+function computeColumns() {
+
+    const columns = yaml.specs.table.filter(column => $hasProp(column, "compute"));
+
+    if (!columns.length) {
+        return false;
+    }
+
+    data.forEach(row => yaml.specs.table.forEach(column => normalizeValue(row, column)));
+
+    columns.forEach(column => {
+        const compute = compileRule(column.compute);
+        data.forEach(row => {
+            row[column.key] = compute(row);
+            normalizeValue(row, column);
+        });
+    });
+
+    return true;
+}
+
+
+// this module provides the columns computed from the other columns of the row
+export {computeColumns};
@@ -10,6 +10,10 @@
 //
 // The init* event handlers are fired once only per life-time of the web-app.
 //
+// Filtering and sorting are done asynchronously (in a Web Worker, if the browser allows), so there may be some
+// time between preFilter/preSort and postFilter/postSort events. If another filtering (or sorting) is requested
+// in the meantime, the older one is cancelled and its post* event is never fired.
+//
 // When one of those events is fired, some extra data may be passed through the event's 'detail' property.
 // Wee code examples below that act as placeholders for your custom event handler implementation.
 
@@ -26,6 +30,9 @@ import {state, yaml, data} from "./main.js";
 // Some helper functions can also be sourced not to reinvent the wheel (see exports from 'common.js').
 import {$, $$, updateView, saveState, escapeHtml} from "./common.js";
 
+// The custom data types of the columns can be registered here (see registerType() in 'types.js').
+import {registerType} from "./types.js";
+
 
 // In order to supply the names of your custom YAML data files, the 'initSrc' event will be triggered,
 // In this event handler the only must-have action is to assign YAML file names to the 'yaml.files'
@@ -41,10 +48,14 @@ import {$, $$, updateView, saveState, escapeHtml} from "./common.js";
 // into 'yaml.my_file' and into 'yaml.remote' (the key auto-guessing routine takes only the bare file name)
 //
 // As shown above, the file paths should be either relative to the 'yml' directory or contain full URLs
+//
+// The files can also be declared in the 'source' section of 'specs.yml' (together with the paths to the records
+// in them and the fields of each column), in which case this handler is not needed at all (that's the case
+// of this demo, the files are declared there, so the assignments below are left only as examples).
 document.addEventListener("initSrc", function () {
 
-    // This will allow loading data from 2 local YAML files: 'some_data.yml' and 'more_data.yml'.
-    yaml.files = ["some_data.yml", "more_data.yml"];
+    // This would allow loading data from 2 local YAML files: 'some_data.yml' and 'more_data.yml'.
+    // yaml.files = ["some_data.yml", "more_data.yml"];
 
     // Alternatively, identical result could be obtained with the following assignment:
     // yaml.files = {some_data: "some_data.yml", more_data: "more_data.yml"};
@@ -55,12 +66,23 @@ document.addEventListener("initSrc", function () {
     // If you did it "the array way" (just listing the URL), the data from remote URL would be read into:
     // 'yaml.crazy-file-name-with-some-of-my-data'
     // but using the example here, your data would always end up in: 'yaml.myData'
+
+    // This is also the right moment to register the custom data types (the data is not normalized yet), so that
+    // they can be used as the 'type' of the columns in 'specs.yml'. The type only needs the functions that differ
+    // from the 'str' data type (see registerType() in 'types.js' for all of them), for example, the labels sorted
+    // in the natural order, i.e. 'Server 2' before 'Server 10' (the column 'label' is of this type in this demo,
+    // and as the comparison function cannot be passed to the Web Worker, this column is sorted in the main thread):
+    registerType("natural", {
+        compare: (a, b) => a.match.localeCompare(b.match, undefined, {numeric: true})
+    });
 });
 
 
 // This is the main data parser that should convert raw YAML data into a standard 'data' array.
 // The data should be sourced from the already available and fully populated 'yaml' object (exported from main.js).
-// The destination is the (initially empty) 'data' array (also exported from main.js).
+// The destination is the 'data' array (also exported from main.js), which is initially empty, unless the records
+// have already been mapped onto the rows as declared in the 'source' section of 'specs.yml'. In that case,
+// this handler can adjust the rows (whatever the declarations cannot express) or even replace them altogether.
 document.addEventListener("initData", function () {
 
     // Here you most certainly will have a loop (or even more likely a bunch of nested loops)
@@ -83,7 +105,7 @@ document.addEventListener("initData", function () {
     //     .cmp       "integer OR hashed string representation" for <, > comparison and sorting
     //     .cmpMin    "min integer" for 'intrange' and 'ip' data types and < comparison only
     //     .cmpMax    "max integer" for 'intrange' and 'ip' data types and > comparison only
-    //     .mask      "integer netmask representation" for 'ip' data type and @= comparison only
+    //     .mask      "integer netmask representation" for 'ip' data type (BigInt for IPv6 addresses)
     //     .cssClass  "a string or array of strings representing custom CSS classes for the cell"
     //
     // ATTENTION: it is NOT expected that all of these representations should be supplied for every data cell
@@ -95,26 +117,24 @@ document.addEventListener("initData", function () {
     //
     // Most of the theory above is demonstrated in the code below that reads simple data
     //
-    // Additionally, see very extensive comments to the function normalizeValue() from 'common.js'.
-
-    (yaml.some_data || []).forEach(item => {
-
-        const link = item.name + " <a href='http://abc.zxy/?q=" +
-            encodeURIComponent(item.name) + "' target='zxy'>Link</a>";
-
-        data.push({
-            id:      item.id,
-            label:   {value: item.name, html: link},
-            src:     item.src,
-            srcName: yaml.more_data[item.src],
-            dst:     item.dst,
-            dstName: yaml.more_data[item.dst],
-            proto:   item.proto,
-            ports:   item.ports,
-            ver:     item.version,
-            lastupd: item.timestamp,
-            _row:    {cssClass: item.proto === "UDP" ? "highlight-row" : undefined}
-        });
+    // Additionally, see very extensive comments to the function normalizeValue() from 'types.js'.
+    //
+    // The cells derived from other cells of the row (or looked up in other YAML files) do not need to be
+    // filled here, they can be declared as 'compute' rules in 'specs.yml' instead (see 'srcName' there).
+    //
+    // In this demo, the rows come from 'some_data.yml' as declared in 'specs.yml', so all that is left to do
+    // is to add the links to the labels and to highlight some of the rows. Without the declarations,
+    // the rows would have been created here like this:
+    //
+    //     (yaml.some_data || []).forEach(item => data.push({id: item.id, label: item.name, ...}));
+
+    data.forEach(row => {
+
+        const link = row.label + " <a href='http://abc.zxy/?q=" +
+            encodeURIComponent(row.label) + "' target='zxy'>Link</a>";
+
+        row.label = {value: row.label, html: link};
+        row._row = {cssClass: row.proto === "UDP" ? "highlight-row" : undefined};
     });
 
 }, false);
@@ -131,7 +151,10 @@ document.addEventListener("initRender", function () {
 // Optional code which will be triggered every time the table has been redrawn (due to filtering, sorting or navigation).
 document.addEventListener("postRender", function (event) {
     // event.detail should contain object with information about table drawn.
-    // Currently it has a single property .visibleRowsCount that indicates how many visible rows the table has.
+    // Currently it has the property .visibleRowsCount that indicates how many visible rows the table has.
+    // In 'virtual' or 'paged' rendering modes (see 'specs.yml') only some of the visible rows are actually drawn,
+    // so the .firstRow and .lastRow properties contain positions of the first and the last drawn row (zero-based).
+    // Note that in 'virtual' mode this event is also fired every time more rows are drawn due to page scrolling.
     $("table caption span").innerHTML = event.detail.visibleRowsCount;
 
     // clear column highlighting if there was any before (see the postSort event handler below)
@@ -140,7 +163,7 @@ document.addEventListener("postRender", function (event) {
     // check if we need to highlight a particular column (see the postSort event handler below)
     if (highlightColumn > -1) {
         $$("#data-table thead th")[highlightColumn].classList.add("sorted");
-        $$("#data-table tbody tr").forEach($tr => $$("td", $tr)[highlightColumn].classList.add("sorted"));
+        $$("#data-table tbody tr:not(.spacer):not(.group)").forEach($tr => $$("td", $tr)[highlightColumn].classList.add("sorted"));
     }
 
 }, false);
@@ -149,19 +172,21 @@ document.addEventListener("postRender", function (event) {
 // Optional code which will be triggered just before data sorting starts
 document.addEventListener("preSort", function (event) {
     // event.detail should contain object about the column on which sorting is to be performed.
-    // Currently the event.detail properties are: {colIdx: ... , colKey: ... , order: ...}
+    // Currently the event.detail properties are: {colIdx: ... , colKey: ... , order: ... , sortKeys: [...]}
+    // The first three describe the primary sort column, while 'sortKeys' lists all of the sort columns
+    // (SHIFT + click on the table headers) as objects with the same three properties, in order of priority.
     //
     // As a simple demo of this event handler we can display a message about sorting.
-    $("#data-table caption output").innerHTML = escapeHtml(
-        "Sorting by column " + (event.detail.colIdx + 1) + " [" + event.detail.colKey + "] as [" + event.detail.order + "]"
-    );
+    $("#data-table caption output").innerHTML = escapeHtml("Sorting by " + event.detail.sortKeys.map(item =>
+        "column " + (item.colIdx + 1) + " [" + item.colKey + "] as [" + item.order + "]"
+    ).join(", then by "));
 }, false);
 
 
 // Optional code which will be triggered right after data sorting has finished (but table has not been rendered yet)
 document.addEventListener("postSort", function (event) {
     // event.detail should contain object about the column on which sorting was performed.
-    // Currently the event.detail properties are: {colIdx: ... , colKey: ... , order: ...}.
+    // Currently the event.detail properties are: {colIdx: ... , colKey: ... , order: ... , sortKeys: [...]}.
     //
     // As a demo, we can use this information to highlight the sorted column with thick border around whole column.
     // The most correct way would be manipulating CSS stylesheets directly with JavaScript,
@@ -206,7 +231,8 @@ document.addEventListener("applyState", function () {
     $("input[name=show-hide-links]").checked = !!state.showLinks;
     showHideLinks(state.showLinks);
     // Restore column highlighting in case some sorting order is in effect
-    highlightColumn = state.sort ? yaml.specs.table.findIndex(column => column.key === state.sort) : -1;
+    // (the 'sort' state may contain a comma separated list of columns, only the primary one is highlighted)
+    highlightColumn = state.sort ? yaml.specs.view.findIndex(column => column.key === state.sort.split(",")[0]) : -1;
 }, false);
 
 
@@ -251,14 +277,16 @@ $("input[name=show-hide-links]").addEventListener("click", function (event) {
     saveState({showLinks: event.target.checked ? "true" : undefined});
 });
 
-// Add 3 buttons that will switch between different 'views' of the table (views are defined in 'specs.yml')
+// Add 4 buttons that will switch between different 'views' of the table (views are defined in 'specs.yml',
+// the last one also groups the rows by protocol)
 const $label2 = document.createElement("label");
 $label2.innerHTML = "Select Table View<button value=\"full\">Show Everything</button>" +
-    "<button value=\"partial\">Show Most</button><button value=\"minimal\">Show Minimum</button>";
+    "<button value=\"partial\">Show Most</button><button value=\"minimal\">Show Minimum</button>" +
+    "<button value=\"protocols\">By Protocol</button>";
 $("body").insertBefore($label2, $label1).classList.add("view-selector");
 
 
-// Add behaviour to the three buttons that were just inserted above.
+// Add behaviour to the four buttons that were just inserted above.
 // The key function call is 'updateView()' which will redraw table that matches a certain view from 'specs.yml'
 $$(".view-selector button").forEach(el => el.addEventListener("click", (event) => {
     const oldSelected = $(".view-selector button.selected");
@@ -0,0 +1,278 @@
+// this module does the 'heavy lifting' part of filtering and sorting: evaluating the filter expression against
+// every data row and comparing data rows with each other; it is used either by the Web Worker (see 'worker.js')
+// or directly by 'filtersort.js' in case the Web Workers are not available, so it must NOT depend on DOM or
+// on any other module that does (which is why the two tiny helpers below are not imported from 'common.js')
+//
+// the 'rows' used here are either the actual data[] array or its copy holding only the representations
+// needed for filtering and sorting (.match, .cmp, .cmpMin, .cmpMax, .mask, .items), see comments in 'types.js'
+
+
+// same as $hasProp() and $typeOf() from 'common.js'
+const hasProp = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+const typeOf = (v) => Object.prototype.toString.call(v).replace("[object ", "").replace("]", "");
+
+// supported filter operators and their precedence (importance)
+const op = {"==": 3, "=": 3, "!=": 3, "~": 3, "!~": 3, "@=": 3, "<": 3, ">": 3, "<=": 3, ">=": 3, "IN": 3, "NOT IN": 3, "BETWEEN": 3, "AND": 2, "OR": 1};
+
+// the 'ALL' variants of the positive comparison operators are meant for the cells holding lists of values,
+// where all of the items must match (see testValue())
+["==", "=", "~", "@=", "<", ">", "<=", ">=", "IN", "BETWEEN"].forEach(token => {
+    op["ALL " + token] = op[token];
+});
+
+// the negative comparison operators, those match the lists of values if none of the items matches the positive one
+const negative = ["!=", "!~", "NOT IN"];
+
+// how many rows are filtered in one go before giving a chance to other tasks to run (such as newer requests)
+const chunkSize = 5000;
+
+
+// checks whether the range of the cell (.cmpMin / .cmpMax) is entirely within one of the given ranges
+// (IPv4 addresses are Numbers and IPv6 ones are BigInts, those ranges never contain each other)
+function withinRanges(cell, ranges) {
+    return ranges.some(range => typeOf(cell.cmpMin) === typeOf(range.min) && range.min <= cell.cmpMin && cell.cmpMax <= range.max);
+}
+
+
+// compares a single cell (or a single item of the list, see 'multi' in 'specs.yml') with the 2nd operand
+// of the comparison operator (which should already be converted by checkFilter() to fit the operator)
+// the 'flavour' of the data value (text, int, ...) depends on the operator
+function testCell(token, cell, o2) {
+
+    let res;
+
+    if (token === "=" || token === "==") {
+        res = (cell.match === o2);
+
+    } else if (token === "!=") {
+        res = (cell.match !== o2);
+
+    } else if (token === "~") {
+        res = o2.test(String(cell.match));
+
+    } else if (token === "!~") {
+        res = ! o2.test(String(cell.match));
+
+    // the subnet in the cell must contain the entire range of addresses given by the 2nd operand,
+    // IPv4 (Number) and IPv6 (BigInt) ranges never contain each other; for 'mac' data type the 2nd operand
+    // is the list of one prefix the address must belong to (same as for IN below), and for 'hostname' and 'email'
+    // data types it is the uppercase domain name the host (or the address) must be in
+    } else if (token === "@=") {
+        if (typeOf(o2) === "String") {
+            res = (cell.match === o2 || String(cell.match).endsWith("." + o2) || String(cell.match).endsWith("@" + o2));
+        } else if (Array.isArray(o2)) {
+            res = withinRanges(cell, o2);
+        } else {
+            res = (typeOf(cell.cmpMin) === typeOf(o2.min) && cell.cmpMin <= o2.min && o2.max <= cell.cmpMax);
+        }
+
+    // the list of values is either a Set of uppercase strings to match against, or (for 'ip' and 'mac' data
+    // types) an array of address ranges and the cell's subnet / address must be entirely within one of them
+    } else if (token === "IN" || token === "NOT IN") {
+        if (Array.isArray(o2)) {
+            res = withinRanges(cell, o2);
+        } else {
+            res = o2.has(cell.match);
+        }
+        if (token === "NOT IN") {
+            res = !res;
+        }
+
+    } else if (token === "<") {
+        res = ((hasProp(cell, "cmpMax") ? cell.cmpMax : cell.cmp) < o2);
+
+    } else if (token === ">") {
+        res = ((hasProp(cell, "cmpMin") ? cell.cmpMin : cell.cmp) > o2);
+
+    } else if (token === "<=") {
+        res = ((hasProp(cell, "cmpMax") ? cell.cmpMax : cell.cmp) <= o2);
+
+    } else if (token === ">=") {
+        res = ((hasProp(cell, "cmpMin") ? cell.cmpMin : cell.cmp) >= o2);
+
+    // the whole value of the cell (all of the range or subnet) must be within the given range (inclusive)
+    } else if (token === "BETWEEN") {
+        if (hasProp(cell, "cmpMin")) {
+            res = (cell.cmpMin >= o2.min && cell.cmpMax <= o2.max);
+        } else {
+            res = (cell.cmp >= o2.min && cell.cmp <= o2.max);
+        }
+    }
+
+    return res;
+}
+
+
+// checks the cell against the comparison operator, the cells holding lists of values (see 'multi' in 'specs.yml')
+// match if any of their items matches, or, with the 'ALL' variant of the operator, if all of them match (and there
+// is at least one), while the negative operators (!=, !~, NOT IN) match if none of the items matches the positive one
+function testValue(token, cell, o2) {
+
+    const all = token.startsWith("ALL ");
+    const operator = all ? token.substring(4) : token;
+
+    if (!cell.items) {
+        return testCell(operator, cell, o2);
+    } else if (all) {
+        return cell.items.length > 0 && cell.items.every(item => testCell(operator, item, o2));
+    } else if (negative.includes(operator)) {
+        return cell.items.every(item => testCell(operator, item, o2));
+    } else {
+        return cell.items.some(item => testCell(operator, item, o2));
+    }
+}
+
+
+// checks a single data row against the filter expression in the Reverse Polish Notation
+// returns the result of the expression or 'undefined' if the expression could not be resolved
+function testRow(filterRPN, row) {
+
+    // resolving expression in RPN notation requires a LIFO helper stack
+    const stack = [];
+
+    // apply filtering expression to the current data row by looping through each filter token
+    filterRPN.forEach(token => {
+
+        // operands and result of the operation will be determined later
+        let o1, o2, res;
+
+        // if the current filter token is one of the known operators, perform that operation
+        if (hasProp(op, token)) {
+
+            // to perform the operation two operands are required, so get them from the stack
+            // it is already been ensured by checkFilter() that there must be at least two items available
+            o2 = stack.pop();
+            o1 = stack.pop();
+
+            // act according to the requested operator
+            // o2 (operand #2) should already be set to correct value
+            // o1 (operand #1) is the name of the column key at this stage (or the result of the nested expression)
+            // so the actual o1 value needs to be pulled out of the current data row
+            // (for free-text search o1 is the list of column keys, and any of those columns may match)
+            if (token === "AND") {
+                res = (o1 & o2);
+
+            } else if (token === "OR") {
+                res = (o1 | o2);
+
+            } else if (Array.isArray(o1)) {
+                res = o1.some(key => testValue(token, row[key], o2));
+
+            } else {
+                res = testValue(token, row[o1], o2);
+            }
+
+            // push the result of the operation into the stack to be used later again
+            stack.push(res);
+
+        } else if (token === "!") {
+            o1 = stack.pop();
+            stack.push(!o1);
+
+        // if the current filter token is not an operator, then it is an operand
+        // keep it in stack for now and use it later, when an actual operator is encountered
+        } else {
+            stack.push(token);
+        }
+    });
+
+    // there should be exactly one item in the stack, i.e., the result of filtering for this row
+    return (stack.length === 1) ? stack.pop() : undefined;
+}
+
+
+// performs actual data filtering using the filter expression in the Reverse Polish Notation
+// checks each data row against the filter expression, the rows are processed in chunks and the
+// 'isCancelled' callback is consulted between the chunks to find out if the result is still needed
+// resolves to an array (indexed by row ID) where 1 means the row passed the filter and 0 means it did not,
+// or to an error message String, or to 'undefined' if the filtering has been cancelled
+async function filterRows(filterRPN, rows, isCancelled) {
+
+    const passed = new Uint8Array(rows.length);
+
+    // 'for' loops are bad, but this one walks the chunks, not the rows
+    for (let start = 0; start < rows.length; start += chunkSize) {
+
+        // let other tasks run (and possibly cancel this one) before starting on the next chunk
+        if (start > 0) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (isCancelled()) {
+                return undefined;
+            }
+        }
+
+        // stop at the first row for which the filter expression cannot be resolved
+        const failedIdx = rows.slice(start, start + chunkSize).findIndex((row, idx) => {
+            const res = testRow(filterRPN, row);
+            passed[start + idx] = res ? 1 : 0;
+            return res === undefined;
+        });
+
+        // this should never happen as checkFilter() has already checked the expression
+        if (failedIdx !== -1) {
+            return "Filter expression could not be evaluated for the data row #" + (start + failedIdx);
+        }
+    }
+
+    return passed;
+}
+
+
+// sorts the list of row IDs using the list of sort keys, each one being an object with column key label and
+// sorting order (0 / 1), the first item in the list is the primary sort key, the rest only break the ties
+// (the sort key may also have the function comparing the two cells, which is then used instead of their representations)
+// the given list is sorted in place and returned
+function sortRows(sortKeys, rows, rowIDs) {
+
+    return rowIDs.sort((a, b) => {
+
+        // the result of comparing the two rows by the first sort key that tells them apart
+        let result = 0;
+
+        // compare the rows by each sort key in turn until they stop being equal
+        sortKeys.some(({key, order, compare}) => {
+
+            let x, y;
+
+            // the data type knows better how to compare its values (only possible in the main thread)
+            if (compare) {
+                result = Math.sign(order ? compare(rows[a][key], rows[b][key]) : compare(rows[b][key], rows[a][key])) || 0;
+                return result !== 0;
+            }
+
+            // if the data type has 'min/max' representation (intrange), use those for comparison
+            if (hasProp(rows[a][key], "cmpMin")) {
+
+                // for ascending direction use min values for port ranges
+                if (order) {
+                    x = rows[a][key].cmpMin;
+                    y = rows[b][key].cmpMin;
+                // for descending direction use max values for port ranges
+                } else {
+                    x = rows[a][key].cmpMax;
+                    y = rows[b][key].cmpMax;
+                }
+
+            // otherwise, compare according to data type
+            } else {
+                x = rows[a][key].cmp;
+                y = rows[b][key].cmp;
+            }
+
+            // compare values corresponding to the current sort direction
+            if (order) {
+                result = (x > y) ? 1 : ((x < y) ? -1 : 0);
+            } else {
+                result = (y > x) ? 1 : ((y < x) ? -1 : 0);
+            }
+
+            return result !== 0;
+        });
+
+        return result;
+    });
+}
+
+
+// this module provides filtering and sorting routines that can run both in a Web Worker and in the main thread
+export {op, testRow, filterRows, sortRows};
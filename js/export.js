@@ -0,0 +1,169 @@
+// globally shared state and data objects plus some useful common shortcuts and functions
+import {state, yaml, data, display} from "./main.js";
+import {$, $$, $typeOf, escapeHtml, html2text} from "./common.js";
+import {getFooter} from "./aggregates.js";
+
+
+// supported export formats with their file name extensions, MIME types and functions producing the file contents
+// (each function takes the list of exported columns, the list of exported data rows and optionally the list
+// of the aggregates of the columns as text (see getFooter()), and returns a String)
+const exportFormats = {
+    tsv:      {title: "Text (tab separated)", ext: "txt", mime: "text/tab-separated-values", render: toTSV},
+    csv:      {title: "CSV", ext: "csv", mime: "text/csv", render: toCSV},
+    json:     {title: "JSON", ext: "json", mime: "application/json", render: toJSON},
+    yaml:     {title: "YAML", ext: "yml", mime: "application/x-yaml", render: toYAML},
+    markdown: {title: "Markdown", ext: "md", mime: "text/markdown", render: toMarkdown},
+    html:     {title: "HTML", ext: "html", mime: "text/html", render: toHTML}
+};
+
+// a "spare" link element (never part of displayed contents) used as a helper to fake data download link
+const $exportHelper = document.createElement("a");
+
+// the text that would be visible in a browser for the given cell
+const cellText = (row, column) => html2text(row[column.key].html || "");
+
+// the raw values of the row as an object with column keys as properties (for JSON and YAML)
+const rowValues = (row, columns) => Object.fromEntries(columns.map(column => [column.key, row[column.key].value]));
+
+
+// the aggregates (if any) of the columns as an object with column keys as properties (for JSON and YAML)
+const footerValues = (footer, columns) => Object.fromEntries(columns.map((column, idx) => [column.key, footer[idx]]).filter(([, text]) => text));
+
+
+// tab separated text values (obtained from .html representation) with no quoting, as exported historically
+// (the aggregates, if requested, follow the data rows as the last line)
+function toTSV(columns, rows, footer = null) {
+    return [columns.map(column => column.header), ...rows.map(row => columns.map(column => cellText(row, column))), ...(footer ? [footer] : [])]
+        .map(fields => fields.join("\t"))
+        .join("\r\n");
+}
+
+
+// comma separated values as per RFC 4180, the fields containing commas, quotes or line breaks are quoted
+// (the aggregates, if requested, follow the data rows as the last line)
+function toCSV(columns, rows, footer = null) {
+    const quote = (field) => /[",\r\n]/.test(field) ? "\"" + field.replace(/"/g, "\"\"") + "\"" : field;
+
+    return [columns.map(column => column.header), ...rows.map(row => columns.map(column => cellText(row, column))), ...(footer ? [footer] : [])]
+        .map(fields => fields.map(field => quote(String(field))).join(","))
+        .join("\r\n") + "\r\n";
+}
+
+
+// a list of objects holding the raw cell values (.value) rather than what is displayed
+// (if the aggregates are requested, it is an object with such list as 'rows' and the aggregates as 'aggregates')
+function toJSON(columns, rows, footer = null) {
+    const values = rows.map(row => rowValues(row, columns));
+    return JSON.stringify(footer ? {rows: values, aggregates: footerValues(footer, columns)} : values, null, 2);
+}
+
+
+// same as JSON above, but in YAML (undefined values are skipped)
+function toYAML(columns, rows, footer = null) {
+    const values = rows.map(row => rowValues(row, columns));
+    // eslint-disable-next-line no-undef
+    return jsyaml.safeDump(footer ? {rows: values, aggregates: footerValues(footer, columns)} : values, {skipInvalid: true});
+}
+
+
+// Markdown (GitHub flavoured) table, pipe characters and line breaks within cells are escaped
+// (the aggregates, if requested, follow the data rows as the last table row)
+function toMarkdown(columns, rows, footer = null) {
+    const escape = (field) => String(field).replace(/\|/g, "\\|").replace(/\r?\n/g, "<br>");
+    const line = (fields) => "| " + fields.map(escape).join(" | ") + " |";
+
+    return [
+        line(columns.map(column => column.header)),
+        line(columns.map(() => "---")),
+        ...rows.map(row => line(columns.map(column => cellText(row, column)))),
+        ...(footer ? [line(footer)] : [])
+    ].join("\n") + "\n";
+}
+
+
+// standalone HTML document containing the table with the cells as they are displayed (.html representation)
+// (the aggregates, if requested, are in the table footer)
+function toHTML(columns, rows, footer = null) {
+    return "<!doctype html>\n<html lang=\"en\">\n<head>\n<meta charset=\"utf-8\">\n" +
+        "<title>" + escapeHtml($("title").textContent) + "</title>\n" +
+        "<style>table {border-collapse: collapse} th, td {border: 1px solid #aaaaaa; padding: 2px 4px}</style>\n" +
+        "</head>\n<body>\n<table>\n<thead>\n<tr>" +
+        columns.map(column => "<th>" + escapeHtml(column.header) + "</th>").join("") +
+        "</tr>\n</thead>\n<tbody>\n" +
+        rows.map(row => "<tr>" + columns.map(column => "<td>" + (row[column.key].html || "") + "</td>").join("") + "</tr>").join("\n") +
+        "\n</tbody>\n" +
+        (footer ? "<tfoot>\n<tr>" + footer.map(text => "<td>" + escapeHtml(text) + "</td>").join("") + "</tr>\n</tfoot>\n" : "") +
+        "</table>\n</body>\n</html>\n";
+}
+
+
+// normalize the 'export' option from 'specs.yml' into an object with the list of allowed formats
+// and the file name template, the option can be given as 'true' (all formats), as a list of formats
+// or as an object with 'formats' and 'filename' properties; returns the list of allowed formats
+function setupExport() {
+
+    let options = yaml.specs.options.export;
+
+    if (Array.isArray(options) || $typeOf(options) === "String") {
+        options = {formats: options};
+    } else if ($typeOf(options) !== "Object") {
+        options = {};
+    }
+
+    // only the known formats are allowed, and if none are given, all of them are
+    options.formats = [].concat(options.formats || []).map(format => String(format).toLowerCase())
+        .filter(format => Object.keys(exportFormats).includes(format));
+
+    if (!options.formats.length) {
+        options.formats = Object.keys(exportFormats);
+    }
+
+    if ($typeOf(options.filename) !== "String" || !options.filename) {
+        options.filename = "export";
+    }
+
+    yaml.specs.options.export = options;
+
+    return options.formats;
+}
+
+
+// creates a document in the requested format from the currently visible rows and columns
+// (optionally with the aggregates of the columns, see 'aggregate' in 'specs.yml')
+// and simulates file download behaviour that forces browser to download that file
+function exportData(format, withAggregates = false) {
+
+    const spec = exportFormats[format] || exportFormats[yaml.specs.options.export.formats[0]];
+
+    // first get the list of columns that are currently visible (in the same order as displayed)
+    const visibleTh = Array.from($$("#data-table thead th")).map(el => !!(el.offsetHeight || el.offsetWidth));
+    const columns = yaml.specs.view.filter((_unused, idx) => visibleTh[idx]);
+
+    // then get the list of rows that pass the current filter (in the same order as displayed)
+    const rowIDs = display.filter(rowID => !(rowID & 1048576));
+    const rows = rowIDs.map(rowID => data[rowID]);
+
+    // construct final payload for downloading
+    const exportedData = spec.render(columns, rows, withAggregates ? getFooter(columns, rowIDs) : null);
+
+    // the file name template may contain {date} and {view} placeholders, and the {ext} placeholder
+    // for the file name extension (which is otherwise appended automatically)
+    const template = yaml.specs.options.export.filename;
+    const filename = template
+        .replace(/\{date\}/g, new Date().toISOString().replace(/T.*/, ""))
+        .replace(/\{view\}/g, state.view || "full")
+        .replace(/\{ext\}/g, spec.ext) + (template.includes("{ext}") ? "" : "." + spec.ext);
+
+    // simulate file download behaviour using the Blob URL (unlike Data URL, it has no size limit to worry about)
+    const url = URL.createObjectURL(new Blob([exportedData], {type: spec.mime + ";charset=utf-8"}));
+    $exportHelper.href = url;
+    $exportHelper.download = filename;
+    $exportHelper.dispatchEvent(new MouseEvent("click", {bubbles: true, cancelable: true}));
+
+    // the Blob is no longer needed once the download has started
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+
+// this module provides data exporting functions
+export {exportFormats, setupExport, exportData};
@@ -0,0 +1,200 @@
+// globally shared state and data objects plus some useful common shortcuts and functions
+import {yaml, data, display, addToFilter} from "./main.js";
+import {$, $typeOf, escapeHtml, html2text} from "./common.js";
+
+
+// the number of the most frequent values shown for each column, unless the user asks to see all of them
+const facetLimit = 10;
+
+// the facets (buckets) of each data row for each facet column, built on first use (the data never changes),
+// a row has a single facet, except for the lists of values (see 'multi' in 'specs.yml') having one per item
+const buckets = {};
+
+// the keys of the columns whose facets are shown in full (see facetLimit above)
+const expanded = new Set();
+
+// the facets as they are currently displayed, for each column the list of objects with .label (the text displayed),
+// .operator and .value (the condition added to the filter when the facet is clicked, see addToFilter()) and .count
+const facets = {};
+
+
+// converts IPv4 address (Number) or IPv6 address (BigInt) into its text form
+function ip2text(ip) {
+
+    if ($typeOf(ip) === "Number") {
+        return [24, 16, 8, 0].map(shift => (ip >>> shift) & 255).join(".");
+    }
+
+    // the first of the longest runs of zero groups is left out (as the address would be written normally)
+    const groups = [...Array(8).keys()].map(idx => ((ip >> BigInt(112 - idx * 16)) & 0xFFFFn).toString(16)).join(":");
+    const zeros = (groups.match(/(^|:)0(:0)+(:|$)/g) || []).sort((a, b) => b.length - a.length)[0];
+
+    return zeros ? groups.replace(zeros, "::") : groups;
+}
+
+
+// returns the facet the cell belongs to (see 'facets' above) according to the 'facet' rule of the column:
+//    - 'true' means the displayed value of the cell (the condition is '=')
+//    - for 'ip', the length of the prefix of IPv4 subnets or the list of the prefix lengths for IPv4 and IPv6
+//      subnets (the default for IPv6 is /64), the condition is 'IN' with the subnet
+//    - for 'date', one of 'year', 'month' or 'day' (the condition is 'BETWEEN' the first and the last day)
+//    - for 'int', the size of the bucket (the condition is 'BETWEEN' the lowest and the highest value)
+//    - for 'mac', 'oui' meaning the first three bytes of the address (the condition is '@=' with the prefix)
+//    - for 'hostname', 'domain' meaning the name without its first label (the condition is '@=' with the domain)
+// the malformed values (and the rules not fitting the column type) always fall back to the displayed value
+function getBucket(column, cell) {
+
+    const text = html2text(cell.html || "");
+    const rule = column.facet;
+    const pad = (num) => String(num).padStart(2, "0");
+
+    if (column.type === "ip" && rule !== true && !cell.cssClass.includes("bad-value") && cell.cmpMin !== Number.NEGATIVE_INFINITY) {
+
+        const ipv4 = ($typeOf(cell.cmpMin) === "Number");
+        const rules = Array.isArray(rule) ? rule : [rule];
+        const bits = ipv4 ? Number(rules[0]) : Number(rules[1] || 64);
+        const size = ipv4 ? 32 : 128;
+
+        // the subnet in the cell may be larger than the bucket, in which case it is the bucket of its own
+        const cellBits = size - (ipv4 ? Math.log2(cell.cmpMax - cell.cmpMin + 1) : (cell.cmpMax - cell.cmpMin + 1n).toString(2).length - 1);
+        const prefix = Math.min(bits, cellBits);
+
+        if (prefix >= 0 && prefix <= size) {
+            const network = ipv4
+                ? cell.cmpMin - (cell.cmpMin % 2 ** (size - prefix))
+                : cell.cmpMin - (cell.cmpMin % (1n << BigInt(size - prefix)));
+            const subnet = ip2text(network) + "/" + prefix;
+            return {label: subnet, operator: "IN", value: subnet};
+        }
+
+    } else if (column.type === "date" && ["year", "month", "day"].includes(rule) && cell.cmp) {
+
+        const date = new Date(cell.cmp);
+        const [year, month, day] = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()];
+
+        if (rule === "year") {
+            return {label: String(year), operator: "BETWEEN", value: [year + "-01-01", year + "-12-31"]};
+        } else if (rule === "month") {
+            const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+            return {label: year + "-" + pad(month), operator: "BETWEEN", value: [year + "-" + pad(month) + "-01", year + "-" + pad(month) + "-" + lastDay]};
+        } else {
+            const dayText = year + "-" + pad(month) + "-" + pad(day);
+            return {label: dayText, operator: "BETWEEN", value: [dayText, dayText]};
+        }
+
+    } else if (column.type === "mac" && rule === "oui" && Number.isFinite(cell.cmpMin)) {
+
+        const prefix = text.substring(0, 8);
+        return {label: prefix, operator: "@=", value: prefix};
+
+    } else if (column.type === "hostname" && rule === "domain" && !cell.cssClass.includes("bad-value") && text.includes(".")) {
+
+        const domain = text.substring(text.indexOf(".") + 1);
+        return {label: domain, operator: "@=", value: domain};
+
+    } else if (column.type === "int" && Number.isInteger(rule) && rule > 0 && Number.isFinite(cell.cmp)) {
+
+        const low = Math.floor(cell.cmp / rule) * rule;
+        return {label: low + " – " + (low + rule - 1), operator: "BETWEEN", value: [String(low), String(low + rule - 1)]};
+    }
+
+    return {label: text, operator: "=", value: text};
+}
+
+
+// counts the rows currently passing the filter in each facet of every facet column and draws the facet panel
+function renderFacets() {
+
+    const columns = yaml.specs.table.filter(column => column.facet);
+    const visible = display.filter(rowID => !(rowID & 1048576));
+
+    $("#facet-list").innerHTML = columns.map(column => {
+
+        // the facets of each row are found only once
+        if (!buckets[column.key]) {
+            buckets[column.key] = data.map(row => (row[column.key].items || [row[column.key]]).map(cell => getBucket(column, cell)));
+        }
+
+        // the facets are counted by their labels (each row only once), the most frequent come first (then in alphabetical order)
+        const counted = new Map();
+        visible.forEach(rowID => {
+            new Map(buckets[column.key][rowID].map(bucket => [bucket.label, bucket])).forEach(bucket => {
+                counted.set(bucket.label, {...bucket, count: counted.has(bucket.label) ? counted.get(bucket.label).count + 1 : 1});
+            });
+        });
+
+        facets[column.key] = Array.from(counted.values())
+            .sort((a, b) => (b.count - a.count) || a.label.localeCompare(b.label));
+
+        const shown = expanded.has(column.key) ? facets[column.key] : facets[column.key].slice(0, facetLimit);
+
+        // the facets are referred to by their index in the list of the column's facets
+        return "<section data-key=\"" + escapeHtml(column.key) + "\"><h4>" + escapeHtml(column.header) + "</h4><ul>" +
+            shown.map((facet, idx) =>
+                "<li data-idx=\"" + idx + "\"><span class=\"facet-label\">" + (escapeHtml(facet.label) || "<i>(empty)</i>") +
+                "</span><span class=\"facet-count\">" + facet.count + "</span></li>"
+            ).join("") + "</ul>" +
+            (facets[column.key].length > facetLimit
+                ? "<button class=\"facet-more\">" + (expanded.has(column.key) ? "Show less" : "Show all " + facets[column.key].length) + "</button>"
+                : "") +
+            "</section>";
+
+    }).join("");
+}
+
+
+// adds the condition of the clicked facet to the filter (the same way as clicking on a table cell does,
+// except that the ordinary click adds the condition with AND, see createFilter()) and applies the filter
+function clickFacet(event) {
+
+    const $section = event.target.closest("section");
+
+    if (!$section) {
+        return;
+    }
+
+    const key = $section.dataset.key;
+
+    // show all (or again just the most frequent) facets of the column
+    if (event.target.closest(".facet-more")) {
+        if (expanded.has(key)) {
+            expanded.delete(key);
+        } else {
+            expanded.add(key);
+        }
+        renderFacets();
+        return;
+    }
+
+    const $li = event.target.closest("li");
+
+    if (!$li) {
+        return;
+    }
+
+    const facet = facets[key][$li.dataset.idx];
+    addToFilter(key, facet.operator, facet.value, {shiftKey: event.shiftKey, ctrlKey: !event.shiftKey});
+
+    // apply the filter the same way as if the user has clicked the button
+    $("#filter-apply").click();
+}
+
+
+// shows the facet panel (if any columns have the 'facet' rule in 'specs.yml') and enables its behaviour
+function setupFacets() {
+
+    if (!yaml.specs.table.some(column => column.facet)) {
+        return;
+    }
+
+    $("#facet-list").addEventListener("click", clickFacet);
+
+    // the counts follow the rows passing the filter (including the state loaded from the URL)
+    ["postFilter", "clearFilter", "applyState"].forEach(eventName => document.addEventListener(eventName, renderFacets));
+
+    $("#facets").removeAttribute("hidden");
+}
+
+
+// this module provides the facet panel with the counts of the rows passing the filter
+export {setupFacets};
@@ -0,0 +1,273 @@
+// globally shared state and data objects plus some useful common shortcuts and functions
+import {yaml, data} from "./main.js";
+import {$, escapeHtml, html2text} from "./common.js";
+import {describeFilter, typeOperators} from "./filtersort.js";
+
+
+// maximum number of suggestions shown in the autocomplete dropdown
+const maxSuggestions = 15;
+
+// the lists of distinct values (as displayed) for each column, built on first use (the data never changes)
+const distinctValues = {};
+
+// the parts of the filter string (.start and .end position) the last filter error and warnings relate to
+let errorSpans = [];
+let warningSpans = [];
+
+// the current suggestions: the part of the filter string to be replaced and the list of suggested tokens
+// plus the index of the highlighted suggestion (-1 if none is highlighted)
+const suggestions = {start: 0, end: 0, items: [], active: -1};
+
+
+// returns the sorted list of distinct values of the given column, quoted the same way as createFilter() does
+function getDistinctValues(key) {
+
+    // (the lists of values, see 'multi' in 'specs.yml', give their items rather than the whole lists)
+    if (!distinctValues[key]) {
+        const values = new Set(data.flatMap(row => row[key].items || [row[key]]).map(cell => html2text(cell.html || "")));
+        distinctValues[key] = Array.from(values)
+            .filter(value => value !== "")
+            .sort((a, b) => a.localeCompare(b))
+            .map(value => value.match(/[\s<>()!=~@,]/) ? "\"" + value + "\"" : value);
+    }
+
+    return distinctValues[key];
+}
+
+
+// colours the tokens of the filter string by rendering them into the overlay placed exactly over the input
+// (the input text itself is transparent), must be called whenever the filter is changed by the code
+// the part of the filter the last error relates to is underlined, and the marker element is placed
+// where the autocompleted token starts, so that the dropdown can be shown right below it
+function renderHighlight(markerAt = -1) {
+
+    const filter = $("#filter").value;
+
+    // CSS classes for each character of the filter string (the whitespace in between the tokens has none)
+    const classes = new Array(filter.length).fill("");
+    describeFilter(filter).forEach(token => classes.fill("token-" + token.kind, token.start, token.end));
+
+    [...errorSpans.map(span => [span, "error"]), ...warningSpans.map(span => [span, "warning"])].forEach(([span, mark]) => {
+        classes.forEach((cssClass, idx) => {
+            if (idx >= span.start && idx < Math.max(span.end, span.start + 1)) {
+                classes[idx] = (cssClass + " " + mark).trim();
+            }
+        });
+    });
+
+    // the characters with the same classes are put into the same element
+    let html = "";
+    let start = 0;
+
+    classes.forEach((cssClass, idx) => {
+        if (idx + 1 === classes.length || idx + 1 === markerAt || classes[idx + 1] !== cssClass) {
+            const text = escapeHtml(filter.substring(start, idx + 1));
+            html += cssClass ? "<span class=\"" + cssClass + "\">" + text + "</span>" : text;
+            start = idx + 1;
+        }
+        if (idx + 1 === markerAt) {
+            html += "<span id=\"filter-marker\"></span>";
+        }
+    });
+
+    $("#filter-highlight").innerHTML = (markerAt === 0 ? "<span id=\"filter-marker\"></span>" : "") + html;
+    $("#filter-highlight").scrollLeft = $("#filter").scrollLeft;
+}
+
+
+// the positions of the errors or warnings that relate to the filter input (not to the quick search box)
+const getSpans = (list) => list.filter(item => item.start !== undefined).map(item => ({start: item.start, end: item.end}));
+
+
+// shows the error message (see filterData()) and underlines the part of the filter it relates to,
+// or hides the error message if 'null' is given
+function setFilterError(error) {
+
+    errorSpans = error ? getSpans([error]) : [];
+
+    if (error) {
+        $("#filter-error").innerHTML = escapeHtml(error.message);
+        $("#filter-error").removeAttribute("hidden");
+    } else {
+        $("#filter-error").setAttribute("hidden", "");
+    }
+
+    renderHighlight();
+}
+
+
+// shows the list of warnings about the filter (see filterData()) next to the filter input
+// and marks the parts of the filter they relate to, the empty list hides the warnings
+function setFilterWarnings(warnings) {
+
+    warningSpans = getSpans(warnings);
+
+    $("#filter-warnings").innerHTML = warnings.map(warning => "<span>" + escapeHtml(warning.message) + "</span>").join("");
+    if (warnings.length) {
+        $("#filter-warnings").removeAttribute("hidden");
+    } else {
+        $("#filter-warnings").setAttribute("hidden", "");
+    }
+
+    renderHighlight();
+}
+
+
+// works out what is being typed at the cursor position and what could be suggested there:
+// column keys at the beginning of a statement, operators valid for the column type after a column key,
+// distinct column values after an operator and logical operators after a complete statement
+function updateSuggestions() {
+
+    const filter = $("#filter").value;
+    const caret = $("#filter").selectionStart;
+
+    // the tokens before the cursor, the last one being the partially typed token (unless it is followed by space)
+    const tokens = describeFilter(filter.substring(0, caret));
+    const partial = (tokens.length && tokens[tokens.length - 1].end === caret) ? tokens.pop() : null;
+    const prefix = partial ? partial.token.toUpperCase() : "";
+    const [prev, beforePrev] = tokens.slice(-2).reverse();
+
+    let items = [];
+
+    // after a column key, suggest the operators that can be used with that column
+    if (prev && prev.kind === "key" && prev.token !== "*") {
+        items = typeOperators(yaml.specs.table.find(column => column.key === prev.token));
+
+    // after an operator, suggest the values of that column (the lists and ranges are not suggested)
+    } else if (prev && prev.kind === "operator" && beforePrev && beforePrev.kind === "key" && beforePrev.token !== "*") {
+        items = ["IN", "NOT IN", "BETWEEN", "@="].includes(prev.token.toUpperCase().replace(/\s+/g, " ").replace(/^ALL /, ""))
+            ? []
+            : getDistinctValues(beforePrev.token);
+
+    // after a complete statement, suggest the logical operators
+    } else if (prev && (prev.kind === "value" || prev.kind === "term" || prev.token === ")")) {
+        items = ["AND", "OR"];
+
+    // at the beginning of a statement, suggest the column keys
+    } else if (!prev || prev.kind === "logic" || prev.kind === "paren") {
+        items = yaml.specs.table.map(column => column.key);
+    }
+
+    // the suggestions starting with the partially typed token come first, then those just containing it
+    items = items.filter(item => item.toUpperCase().startsWith(prefix))
+        .concat(prefix ? items.filter(item => !item.toUpperCase().startsWith(prefix) && item.toUpperCase().includes(prefix)) : [])
+        .slice(0, maxSuggestions);
+
+    // there is nothing to suggest if the token has been typed in full already
+    if (items.length === 1 && items[0].toUpperCase() === prefix) {
+        items = [];
+    }
+
+    Object.assign(suggestions, {start: partial ? partial.start : caret, end: caret, items: items, active: -1});
+
+    renderHighlight(items.length ? suggestions.start : -1);
+    renderSuggestions();
+}
+
+
+// shows the dropdown with the current suggestions below the token being autocompleted (or hides it)
+function renderSuggestions() {
+
+    const $list = $("#filter-suggestions");
+
+    if (!suggestions.items.length || document.activeElement !== $("#filter")) {
+        $list.setAttribute("hidden", "");
+        return;
+    }
+
+    $list.innerHTML = suggestions.items.map((item, idx) =>
+        "<li" + (idx === suggestions.active ? " class=\"active\"" : "") + ">" + escapeHtml(item) + "</li>"
+    ).join("");
+
+    $list.style.left = ($("#filter-marker") ? $("#filter-marker").offsetLeft - $("#filter-highlight").scrollLeft : 0) + "px";
+    $list.removeAttribute("hidden");
+}
+
+
+// replaces the partially typed token with the chosen suggestion (followed by a space)
+function acceptSuggestion(idx) {
+
+    const filter = $("#filter").value;
+    const item = suggestions.items[idx] + " ";
+
+    $("#filter").value = filter.substring(0, suggestions.start) + item + filter.substring(suggestions.end).trimStart();
+    $("#filter").setSelectionRange(suggestions.start + item.length, suggestions.start + item.length);
+    $("#filter").focus();
+
+    updateSuggestions();
+}
+
+
+// handles the keys used to navigate the dropdown, the keys that are handled here do not get any further
+// (so that Enter accepts the highlighted suggestion instead of applying the filter)
+function handleKeys(event) {
+
+    const count = suggestions.items.length;
+
+    if ($("#filter-suggestions").hidden) {
+        return;
+    }
+
+    if (event.key === "ArrowDown") {
+        suggestions.active = (suggestions.active + 1) % count;
+        renderSuggestions();
+
+    } else if (event.key === "ArrowUp") {
+        suggestions.active = (suggestions.active > 0 ? suggestions.active : count) - 1;
+        renderSuggestions();
+
+    } else if ((event.key === "Enter" || event.key === "Tab") && suggestions.active > -1) {
+        acceptSuggestion(suggestions.active);
+
+    // if no suggestion is highlighted, the Enter key applies the filter as usual
+    } else if (event.key === "Escape" || event.key === "Enter") {
+        $("#filter-suggestions").setAttribute("hidden", "");
+        if (event.key === "Enter") {
+            return;
+        }
+
+    } else {
+        return;
+    }
+
+    event.preventDefault();
+    event.stopImmediatePropagation();
+}
+
+
+// enables syntax highlighting and autocompletion for the filter input
+// (must be called before any other 'keydown' handlers are registered for the filter input)
+function setupFilterInput() {
+
+    const $filter = $("#filter");
+
+    $filter.addEventListener("keydown", handleKeys);
+    $filter.addEventListener("input", () => {
+        errorSpans = [];
+        warningSpans = [];
+        updateSuggestions();
+    });
+    $filter.addEventListener("focus", updateSuggestions);
+    $filter.addEventListener("click", updateSuggestions);
+    $filter.addEventListener("keyup", event => {
+        if (["ArrowLeft", "ArrowRight", "Home", "End"].includes(event.key)) {
+            updateSuggestions();
+        }
+    });
+    $filter.addEventListener("scroll", () => {$("#filter-highlight").scrollLeft = $filter.scrollLeft;});
+
+    // the dropdown disappears when the input loses focus (but the suggestion can still be clicked)
+    $filter.addEventListener("blur", () => $("#filter-suggestions").setAttribute("hidden", ""));
+    $("#filter-suggestions").addEventListener("mousedown", event => {
+        event.preventDefault();
+        if (event.target.localName === "li") {
+            acceptSuggestion(Array.from(event.target.parentNode.children).indexOf(event.target));
+        }
+    });
+
+    renderHighlight();
+}
+
+
+// this module provides syntax highlighting and autocompletion for the filter input
+export {setupFilterInput, renderHighlight, setFilterError, setFilterWarnings, getDistinctValues};
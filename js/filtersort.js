@@ -1,10 +1,8 @@
 // globally shared state and data objects plus some useful common shortcuts and functions
 import {yaml, data, display} from "./main.js";
-import {$hasProp, ip2long, version2hash} from "./common.js";
-
-
-// supported filter operators and their precedence (importance)
-const op = {"==": 3, "=": 3, "!=": 3, "~": 3, "!~": 3, "@=": 3, "<": 3, ">": 3, "AND": 2, "OR": 1};
+import {$hasProp, $typeOf} from "./common.js";
+import {getType} from "./types.js";
+import {op, filterRows, sortRows} from "./evaluate.js";
 
 // a map of column types for easy lookups during filter string parsing
 const typeMap = {};
@@ -12,11 +10,31 @@ const typeMap = {};
 // two lists of all possible tokens that should be useful during filter string parsing
 const filterTokens = {word: [], nonWord: []};
 
+// the comparison operators, i.e. all the known operators except the logical ones
+const comparison = Object.keys(op).filter(token => token !== "AND" && token !== "OR");
+
+// the Web Worker doing the actual filtering and sorting (see 'worker.js'), created on the first request;
+// it stays 'null' if Web Workers are not available, in which case the same job is done in the main thread
+let worker;
+
+// the requests (one per action) that are waiting for the result, a newer request of the same kind cancels
+// the older one, each request is an object with .id, .payload and .resolve (the Promise resolving function)
+const pending = {};
+
+// the ID of the most recent request (increased with each request)
+let requestID = 0;
+
+// the names of the data types whose 'compare' function has made the sorting run in the main thread (see sortData())
+const inlineSortTypes = new Set();
+
 
 // splits the text string from the 'input' field into array of recognised filter tokens
 // should correctly identify known tokens even without whitespace in between (where applicable)
 // correctly deals with parameters in double quotes that should be treated as a single token
 // also correctly parses unquoted parameters (that should not contain whitespace)
+// the parenthesized list of values following IN / NOT IN operators is treated as a single token,
+// and so are the two values joined by AND following the BETWEEN operator
+// each token is an object with the token string (.token) and its position in the input string (.start, .end)
 // takes the input string as the first argument and two arrays of strings for all possible tokens
 // the wordTokens[] should contain all recognized tokens that start with alphanumeric characters
 // the nonWordTokens should contain all recognized tokens that do NOT start
@@ -32,11 +50,15 @@ function getTokens(input, wordTokens = [], nonWordTokens = []) {
         return tokens;
     }
 
-    // prepare three RegExp objects to lookup possible tokens in several different ways
+    // prepare four RegExp objects to lookup possible tokens in several different ways
+    // (word tokens containing spaces, like 'NOT IN', may be written with any amount of whitespace,
+    // and the word boundary is only required after the tokens ending with a word character, unlike 'ALL <=')
     const regex = {
-        words:    new RegExp("^\\b\\s*(" + wordTokens.join("|") + ")\\s*\\b", "i"),
+        words:    new RegExp("^\\b\\s*(" + wordTokens.join("|").replace(/ /g, "\\s+") + ")(?:(?<=\\w)\\b|(?<!\\w))\\s*", "i"),
         nonWords: new RegExp("^\\s*(\"[^\"]*\"|" + nonWordTokens.join("|") + "|!\\(|NOT\\(|\\)|\\()\\s*"),
-        unquoted: /^\s*([^\s()]+)/
+        unquoted: /^\s*([^\s()]+)\s*/,
+        list:     /^\s*\((?:"[^"]*"|[^"()])*\)\s*/,
+        range:    /^\s*("[^"]*"|[^\s()"]+)\s+AND\s+("[^"]*"|[^\s()"]+)\s*/i
     };
 
     // keep track of the current offset in the input string and the remainder of the string
@@ -46,8 +68,23 @@ function getTokens(input, wordTokens = [], nonWordTokens = []) {
 
     // repeat, as long as there are any characters remaining to be parsed in the input string
     while (str) {
-        // try checking whether current string starts with one of the non-word tokens
-        match = str.match(regex.nonWords);
+
+        // where the current token (possibly preceded by whitespace) begins
+        const tokenOffset = offset;
+
+        // if the previous token was IN / NOT IN operator, try checking for the list of values first,
+        // and if it was BETWEEN operator, try checking for the two values joined by AND
+        match = null;
+        if (token && token.toUpperCase().replace(/\s+/g, " ").match(/^(NOT |ALL )?IN$/)) {
+            match = str.match(regex.list);
+        } else if (token && token.toUpperCase().replace(/\s+/g, " ").match(/^(ALL )?BETWEEN$/)) {
+            match = str.match(regex.range);
+        }
+
+        // otherwise, try checking whether current string starts with one of the non-word tokens
+        if (match === null) {
+            match = str.match(regex.nonWords);
+        }
 
         // if there is a match, consume the token and increase the offset pointer accordingly
         if (match !== null) {
@@ -81,8 +118,10 @@ function getTokens(input, wordTokens = [], nonWordTokens = []) {
             }
         }
 
-        // push newly obtained token into the result array
-        tokens.push(token);
+        // push newly obtained token into the result array together with its position in the input string
+        // (the position of the token itself, without the surrounding whitespace)
+        const start = input.indexOf(token, tokenOffset);
+        tokens.push({token: token, start: start, end: start + token.length});
 
         // move the offset pointer along the input string
         str = input.substring(offset);
@@ -93,6 +132,178 @@ function getTokens(input, wordTokens = [], nonWordTokens = []) {
 }
 
 
+// turns a free-text search term (a single word or a phrase in double quotes) into the statement
+// that matches the term against every displayed column, i.e. '* ~ "term"' (where '*' means any column)
+// the term is searched for literally, so all the regular expression special characters are escaped
+// the tokens of the statement share the position of the term in the input string (see getTokens())
+function searchStatement(term) {
+    const value = "\"" + term.token.replace(/^"(.*)"$/, "$1").replace(/[.*+?^${}()|[\]\\]/g, "\\$&") + "\"";
+    return ["*", "~", value].map(token => ({token: token, start: term.start, end: term.end}));
+}
+
+
+// converts the plain text from the quick search box into the array of filter tokens,
+// every word or quoted phrase becomes a free-text search term and all of the terms must be found
+// (the tokens have no position as they do not come from the filter input)
+function getSearchTokens(search) {
+    return (search.match(/"[^"]*"|[^\s"]+/g) || [])
+        .filter(term => term !== "\"\"")
+        .reduce((tokens, term) => tokens.concat(tokens.length ? [{token: "AND"}] : [], searchStatement({token: term})), []);
+}
+
+
+// walks through the array of tokens and replaces the bare terms (values that are not preceded
+// by a field name and an operator) with the free-text search statements (see searchStatement() above)
+// the statements that follow each other with no AND / OR operator in between are joined with AND
+// so that 'database mirror proto = TCP' means 'database AND mirror AND proto = TCP'
+function expandSearchTerms(tokens) {
+
+    const upper = (item) => String(item && item.token).toUpperCase().replace(/\s+/g, " ");
+
+    // the implicit AND operator (placed where the next statement starts)
+    const and = (item) => ({token: "AND", start: item.start, end: item.start});
+
+    // whether a new statement is expected (at the beginning, after AND / OR or an opening parenthesis)
+    // and how many tokens of the current 'field operator value' statement are still to be copied as they are
+    let expectStatement = true;
+    let pending = 0;
+
+    return tokens.reduce((output, token, idx) => {
+
+        // operator and value of the current statement
+        if (pending) {
+            output.push(token);
+            pending -= 1;
+            expectStatement = false;
+
+        } else if (upper(token) === "AND" || upper(token) === "OR") {
+            output.push(token);
+            expectStatement = true;
+
+        } else if (token.token === ")") {
+            output.push(token);
+            expectStatement = false;
+
+        // an opening parenthesis starts a new (nested) statement, possibly joined with the previous one
+        } else if (token.token === "(" || token.token === "!(" || upper(token) === "NOT(") {
+            output.push(...(expectStatement ? [] : [and(token)]), token);
+            expectStatement = true;
+
+        // a misplaced operator is left as it is for checkFilter() to report
+        } else if (comparison.includes(upper(token))) {
+            output.push(token);
+
+        // if the token is followed by an operator, it is a field name starting the 'field operator value' statement
+        } else if (comparison.includes(upper(tokens[idx + 1]))) {
+            output.push(...(expectStatement ? [] : [and(token)]), token);
+            pending = 2;
+
+        // otherwise, it is a free-text search term
+        } else {
+            output.push(...(expectStatement ? [] : [and(token)]), ...searchStatement(token));
+            expectStatement = false;
+        }
+
+        return output;
+    }, []);
+}
+
+
+// creates the error object describing what went wrong and where, i.e. the part of the filter string
+// (given by the token or the pair of tokens) that is to be highlighted to the user
+// the position is 'undefined' if the tokens did not come from the filter input (see getSearchTokens())
+function filterError(message, from, to = from) {
+    return {message: message, start: from ? from.start : undefined, end: to ? to.end : undefined};
+}
+
+
+// checks that the tokens (with the free-text search terms already expanded, see expandSearchTerms())
+// form the valid sequence of statements joined by AND / OR operators with balanced parentheses
+// returns boolean 'true' if all is well or the error object (see filterError()) otherwise
+function checkTokens(tokens) {
+
+    const upper = (item) => String(item && item.token).toUpperCase().replace(/\s+/g, " ");
+    const isOpening = (item) => ["(", "!(", "NOT("].includes(upper(item));
+    const isLogic = (item) => ["AND", "OR"].includes(upper(item));
+    const isOperator = (item) => comparison.includes(upper(item));
+
+    // result will be either Boolean true, or an error object
+    let result = true;
+
+    // the opening parentheses that have not been closed yet
+    const opened = [];
+
+    // whether a statement (or an opening parenthesis) is expected next,
+    // and how many tokens of the current 'field operator value' statement are still to be skipped
+    let expectStatement = true;
+    let skip = 0;
+
+    tokens.every((item, idx) => {
+
+        const prev = tokens[idx - 1];
+
+        if (skip) {
+            skip -= 1;
+
+        } else if (expectStatement) {
+
+            if (isOpening(item)) {
+                opened.push(item);
+
+            } else if (isLogic(item)) {
+                result = filterError("Expected a statement before " + upper(item), item);
+
+            } else if (item.token === ")") {
+                result = isOpening(prev)
+                    ? filterError("Expected a statement inside the parentheses", prev, item)
+                    : filterError("Expected a statement after " + upper(prev), prev);
+
+            } else if (isOperator(item)) {
+                result = filterError("Expected a field name before " + upper(item), item);
+
+            // the statement is 'field operator value' (free-text search terms have been expanded already)
+            } else {
+                const value = tokens[idx + 2];
+
+                if (item.token !== "*" && !yaml.specs.table.some(column => column.key === item.token)) {
+                    result = filterError("Invalid field name: " + item.token, item);
+                } else if (!value || isLogic(value) || isOperator(value) || isOpening(value) || value.token === ")") {
+                    result = filterError("Expected a value after " + upper(tokens[idx + 1]), item, tokens[idx + 1]);
+                }
+
+                skip = 2;
+                expectStatement = false;
+            }
+
+        // after a complete statement, it can only be followed by AND / OR or by a closing parenthesis
+        } else if (isLogic(item)) {
+            expectStatement = true;
+
+        } else if (item.token === ")") {
+            if (opened.length) {
+                opened.pop();
+            } else {
+                result = filterError("Unbalanced parentheses: no matching '(' for this ')'", item);
+            }
+
+        } else {
+            result = filterError("Expected AND / OR before " + item.token, item);
+        }
+
+        return result === true;
+    });
+
+    // the expression must not end with AND / OR or an opening parenthesis, and all parentheses must be closed
+    if (result === true && expectStatement && tokens.length) {
+        result = filterError("Expected a statement after " + upper(tokens[tokens.length - 1]), tokens[tokens.length - 1]);
+    } else if (result === true && opened.length) {
+        result = filterError("Unbalanced parentheses: no matching ')' for this '('", opened.pop());
+    }
+
+    return result;
+}
+
+
 // converts existing array of tokens (operand, operator, value, ...) into Reverse Polish Notation
 // the output is a rearranged tokens array that takes into account operator precedence
 // the RPN tokens array will be used to apply the actual filtering rules to each table row
@@ -106,41 +317,44 @@ function tokensToRPN(tokens) {
 
     // loop through the input tokens array using the reduce() JS method
     // returns another array where the final result will be accumulated output
-    return tokens.reduce((output, token) => {
+    // (the parentheses must be balanced, which is ensured by checkTokens() beforehand)
+    return tokens.reduce((output, item) => {
 
-        // create uppercase version of the current token
-        const tokenUpper = token.toUpperCase();
+        // create uppercase version of the current token (with whitespace normalized, as in 'NOT  IN')
+        const token = item.token;
+        const tokenUpper = token.toUpperCase().replace(/\s+/g, " ");
 
         // handle the case when the current token is one of the known operators
         if ($hasProp(op, tokenUpper)) {
 
-            while ($hasProp(op, peek(stack)) && op[tokenUpper] <= op[peek(stack)]) {
+            while (peek(stack) && $hasProp(op, peek(stack).token) && op[tokenUpper] <= op[peek(stack).token]) {
                 output.push(stack.pop());
             }
-            stack.push(tokenUpper);
+            stack.push({...item, token: tokenUpper});
 
         // handle the case when the token is one of the parentheses operators
         } else if (token === "(" || token === "!(" || tokenUpper === "NOT(") {
-            stack.push(token);
+            stack.push({...item, token: tokenUpper});
 
         // handle the case when the token is one of the parentheses operators
+        // (the negation spans the whole parenthesized expression)
         } else if (token === ")") {
-            while (peek(stack) !== "(" && peek(stack) !== "!(" && peek(stack) !== "NOT(") {
+            while (!["(", "!(", "NOT("].includes(peek(stack).token)) {
                 output.push(stack.pop());
             }
-            if (stack.pop() !== "(") {
-                output.push("!");
+            const opening = stack.pop();
+            if (opening.token !== "(") {
+                output.push({token: "!", start: opening.start, end: item.end});
             }
 
         // this is not an operator, just a simple operand, so put it into result array
         } else {
-            output.push(token);
+            output.push(item);
         }
 
         // proceed to the next loop iteration and next token while accumulating the overall result
         return output;
 
-    // once the loop is over, add the remaining stack contents to the result (in reverse order)
     }, []).concat(stack.reverse());
 }
 
@@ -150,10 +364,12 @@ function tokensToRPN(tokens) {
 // second is to perform possible conversion of some operands (like RegExp strings or IPs or Dates)
 // this is done to speed-up the filtering process that will be repeated many real data rows
 // the converted values will be written back to the filterRPN[] array that is given as the argument
-// returns boolean 'true' if all is well or 'false' if any of the checks have failed
-function checkFilter(filterRPN) {
+// the second argument is the list of RPN tokens (see tokensToRPN()) used for reporting the position of errors
+// and the non-fatal warnings about suspicious operator use are added to the list given as the third argument
+// returns boolean 'true' if all is well or the error object (see filterError()) if any of the checks have failed
+function checkFilter(filterRPN, tokens, warnings) {
 
-    // result will be either Boolean true, or an actual error message String
+    // result will be either Boolean true, or an error object
     let result = true;
 
     // a LIFO result stack for evaluating the Reverse Polish Notation expression
@@ -169,8 +385,8 @@ function checkFilter(filterRPN) {
     // the .every() method will ensure that ALL checks must succeed, otherwise the loop will terminate
     filterRPN.every((token, index) => {
 
-        // operands and their data type will be determined later
-        let o1, o2, type;
+        // operands will be determined later
+        let o1, o2;
 
         // if the current filter token is one of the known operators, check its validity
         if ($hasProp(op, token)) {
@@ -181,116 +397,178 @@ function checkFilter(filterRPN) {
 
             // if one of the operands is missing, then the expression was wrong (syntax error)
             if (o1 === undefined || o2 === undefined) {
-                result = "Filter syntax error (1)";
+                result = filterError("Expected two operands for " + token, tokens[index]);
                 return false;
             } else {
 
                 // if the 1st operand is NOT the result of previous (nested) operation
                 // and if the 1st operand does not look like it is a valid column key,
                 // then it is a syntax error, i.e. non-existing field name
-                if (o1.idx !== -1 && !$hasProp(typeMap, o1.token)) {
-                    result = "Invalid field name: " + o1.token;
+                if (o1.idx !== -1 && !$hasProp(typeMap, o1.token) && o1.token !== "*") {
+                    result = filterError("Invalid field name: " + o1.token, o1);
+                    return false;
+                }
+
+                // the special field name '*' means any of the displayed columns (used by free-text search),
+                // it is replaced with the list of column keys, and only the matching operators make sense here
+                if (o1.idx !== -1 && o1.token === "*") {
+                    if (token !== "=" && token !== "==" && token !== "~") {
+                        result = filterError("Only =, == and ~ operators can be used with * (any column)", tokens[index]);
+                        return false;
+                    }
+                    filterRPN[o1.idx] = yaml.specs.view.map(column => column.key);
+
+                // not every operator makes sense for every data type (see 'operators' in registerType())
+                } else if (o1.idx !== -1 && !typeOperators(yaml.specs.table.find(column => column.key === o1.token)).includes(token)) {
+                    result = filterError(token + " operator cannot be used with the field " + o1.token +
+                        " of type '" + typeMap[o1.token] + "'", tokens[index]);
                     return false;
                 }
 
+                // the 'ALL' variant of the operator needs its operand converted the same way as the operator itself
+                const operator = token.replace(/^ALL /, "");
+
                 // if the 2nd operand starts with a double quote, it is assumed it ends with it too
                 // the quotes are dropped and the operand value in the RPN filter expression is updated
-                if (String(o2.token).charAt(0) === "\"") {
+                // (except for BETWEEN operator where the operand consists of two values, each possibly quoted)
+                if (String(o2.token).charAt(0) === "\"" && operator !== "BETWEEN") {
                     o2.token = o2.token.substring(1, o2.token.length - 1);
                     filterRPN[o2.idx] = o2.token;
                 }
 
-                // if the operator is straight comparison, the 2nd operand should be converted to uppercase
-                // this is due to the case-insensitive comparison promise that shall be kept
-                if (token === "==" || token === "=" || token === "!=") {
-                    filterRPN[o2.idx] = String(o2.token).toUpperCase();
+                // the column the 1st operand refers to (none for '*', i.e. any column) and its data type
+                const column = yaml.specs.table.find(col => col.key === o1.token) || {};
+                const type = getType(column.type);
+
+                // the values from the filter expression are converted by the data type (see registerType()),
+                // which gives the object with the error message if the value cannot be used
+                const parse = (value) => type.parseFilterValue(value, column, operator);
+                const isError = (value) => $typeOf(value) === "Object" && $hasProp(value, "error");
+
+                // the operator may be fine for the data type in general, but suspicious for this column or value
+                const rule = (o1.idx !== -1) ? type.operators[operator] : undefined;
+                if ($typeOf(rule) === "Function") {
+                    const warning = rule(column, o2.token, operator);
+                    if (warning) {
+                        warnings.push(filterError(warning, o1, o2));
+                    }
+                }
+
+                // if the operator is straight comparison, the 2nd operand is converted into the .match representation
+                // of the data type, usually the uppercase string due to the case-insensitive comparison promise
+                // that shall be kept (but e.g. for 'bool' data type, any of the words or labels meaning true / false
+                // is converted, and for 'enum' data type, the labels are converted into the allowed values)
+                if (operator === "==" || operator === "=" || operator === "!=") {
+
+                    o2.value = parse(o2.token);
+
+                    if (isError(o2.value)) {
+                        result = filterError(o2.value.error, o2);
+                        return false;
+                    }
+
+                    filterRPN[o2.idx] = o2.value;
 
                 // if the operator does regex matching, the 2nd operand is assumed to be a user supplied regex
                 // the 2nd operand has to be converted to JS RegExp object to be reused during actual filtering
                 // if the conversion fails due to bad RegExp syntax, then it is a full stop here
-                } else if (token === "~" || token === "!~") {
+                } else if (operator === "~" || operator === "!~") {
                     try {
                         o2.regexp = new RegExp(o2.token, "i");
                     } catch (e) {
-                        result = "Invalid regular expression: " + o2.token;
+                        result = filterError("Invalid regular expression: " + o2.token, o2);
                         return false;
                     }
                     filterRPN[o2.idx] = o2.regexp;
 
                 // 'greater/less than' comparison is by far the most 'interesting' operator
-                // each data type requires different approach for comparing values so there is a lot of 'if' here
-                } else if (token === "<" || token === ">") {
-
-                    // determine the data type by looking at the first operand
-                    type = typeMap[o1.token] || "str";
-
-                    // for the 'ip' data type the comparison shall be done using long int representation
-                    // the 2nd operand shall be converted, therefore, and the RPN expression updated
-                    if (type === "ip") {
-                        o2.value = ip2long(o2.token);
-                        if (!o2.value) {
-                            result = "Bad IP address: " + o2.token;
-                            return false;
-                        } else {
-                            filterRPN[o2.idx] = o2.value;
-                        }
-
-                    // if the data type is 'date', the 2nd operand needs to be Unix Time obtained from 'YYYY-MM-DD' string
-                    } else if (type === "date") {
-
-                        // first check the validity of the user supplied date string generally speaking
-                        if (!String(o2.token).match(/^\d{4}-\d{2}-\d{2}$/)) {
-                            result = "Bad date format (use YYYY-MM-DD): " + o2.token;
-                            return false;
-                        }
-
-                        // then try and convert the 2nd operand into the JavaScript date object and get its Unix Time
-                        o2.value = new Date(String(o2.token) + "T12:00:00Z").getTime();
-
-                        // check the allowed range for the supplied date that should be a valid integer and a sane value
-                        if (!o2.value || o2.value < 934366740000 || o2.value > 2147483647000) {
-                            result = "Unsupported date: " + o2.token;
-                            return false;
-                        }
-                        // update the RPN expression with the converted value
-                        filterRPN[o2.idx] = o2.value;
-
-                    // for integer types the 2nd operand should simply be whatever parseInt() returns (or zero if NaN)
-                    } else if (type === "int" || type === "intrange") {
-                        filterRPN[o2.idx] = parseInt(o2.token) || 0;
-
-                    // version shall be compared as a hash
-                    } else if (type === "version") {
-                        filterRPN[o2.idx] = version2hash(o2.token);
-
-                    // strings shall be compared case insensitive, so get the uppercase version of the string
-                    } else if (type === "str") {
-                        filterRPN[o2.idx] = String(o2.token).toUpperCase();
+                // each data type requires different approach for comparing values (see registerType())
+                // and if the 2nd operand is a range (like a subnet or a whole day), the comparison is done
+                // either against its lowest or its highest value, so that '<' and '>' are always strict
+                } else if (operator === "<" || operator === ">" || operator === "<=" || operator === ">=") {
+
+                    o2.value = parse(o2.token);
+
+                    if (isError(o2.value)) {
+                        result = filterError(o2.value.error, o2);
+                        return false;
                     }
 
-                // if the operator is a special 'IP belongs to subnet', the 2nd operand needs to converted to longint
-                } else if (token === "@=") {
+                    filterRPN[o2.idx] = (operator === "<" || operator === ">=") ? o2.value.min : o2.value.max;
+
+                // the 2nd operand of the 'between' comparison contains two values joined by AND (see getTokens())
+                // both values are converted the same way as above and the cell's value must be within that range
+                } else if (operator === "BETWEEN") {
+
+                    const values = String(o2.token).match(/^("[^"]*"|[^\s"]+)\s+AND\s+("[^"]*"|[^\s"]+)$/i);
 
-                    // first make sure that the filed type is actually 'ip' because the @= operator cannot be used otherwise
-                    if (typeMap[o1.token] !== "ip") {
-                        result = "@= operator can only be used with IP-like fields";
+                    if (values === null) {
+                        result = filterError("Two values joined by AND expected after BETWEEN: " + o2.token, o2);
                         return false;
+                    }
+
+                    const [min, max] = values.slice(1).map(value => parse(value.replace(/^"(.*)"$/, "$1")));
+
+                    if (isError(min) || isError(max)) {
+                        result = filterError(isError(min) ? min.error : max.error, o2);
+                        return false;
+                    }
+
+                    filterRPN[o2.idx] = {min: min.min, max: max.max};
+
+                // if the operator checks for the presence in the list of values, the 2nd operand has to be
+                // a parenthesized list of comma separated values (possibly quoted) that is converted into
+                // the Set of uppercase strings for matching, or, for 'ip' and 'mac' data types, into the array of
+                // address ranges (addresses, subnets or prefixes) that the address of the cell must belong to
+                } else if (operator === "IN" || operator === "NOT IN") {
 
-                    // do the same routine as above for '< >' operator and 'ip' data type
-                    } else {
-                        o2.value = ip2long(o2.token);
-                        if (!o2.value) {
-                            result = "Bad IP address: " + o2.token;
-                            return false;
-                        } else {
-                            filterRPN[o2.idx] = o2.value;
-                        }
+                    if (String(o2.token).charAt(0) !== "(") {
+                        result = filterError("List of values in parentheses expected after " + token + ": " + o2.token, o2);
+                        return false;
+                    }
+
+                    // split the list into items, drop the quotes and the whitespace around the items
+                    const items = (o2.token.substring(1, o2.token.length - 1).match(/"[^"]*"|[^,"]+/g) || [])
+                        .map(item => item.trim())
+                        .filter(item => item !== "")
+                        .map(item => item.replace(/^"(.*)"$/, "$1"));
+
+                    o2.value = items.map(parse);
+
+                    const bad = o2.value.find(isError);
+                    if (bad) {
+                        result = filterError(bad.error, o2);
+                        return false;
                     }
+
+                    // (the strings are matched, the ranges are what the value must be within)
+                    if (o2.value.every(value => $typeOf(value) === "String")) {
+                        o2.value = new Set(o2.value);
+                    }
+
+                    filterRPN[o2.idx] = o2.value;
+
+                // if the operator is a special 'IP belongs to subnet', the 2nd operand needs to converted to
+                // the range of addresses (a single address is simply a range where min and max are the same),
+                // the same operator means 'belongs to the prefix / domain' for MAC addresses, host names and e-mails
+                } else if (operator === "@=") {
+
+                    // (the data type has already been checked above, see 'operators' in registerType())
+                    // the MAC address must be within the prefix (e.g. the OUI), which is the same as IN with one prefix,
+                    // and the host name (or the domain of the e-mail address) must be within the domain
+                    o2.value = parse(o2.token);
+
+                    if (isError(o2.value)) {
+                        result = filterError(o2.value.error, o2);
+                        return false;
+                    }
+
+                    filterRPN[o2.idx] = o2.value;
                 }
 
                 // no real operation will be done because the actual result does not matter during dry run
                 // push value placeholder into the stack in case it is needed for nested filters with AND/OR/() operators
-                stack.push({token: "", idx: -1});
+                stack.push({token: "", idx: -1, start: o1.start, end: o2.end});
             }
 
         // if it is a known unary operator, like "NOT(" or "!(", then check for a single operand
@@ -300,19 +578,19 @@ function checkFilter(filterRPN) {
 
             // if the operand is missing, then the expression was wrong (syntax error)
             if (o1 === undefined) {
-                result = "Filter syntax error (2)";
+                result = filterError("Expected an expression inside the parentheses", tokens[index]);
                 return false;
             }
 
             // no real operation will be done because the actual result does not matter during dry run
             // push value placeholder into the stack in case it is needed for nested filters with AND/OR/() operators
-            stack.push({token: "", idx: -1});
+            stack.push({token: "", idx: -1, start: tokens[index].start, end: tokens[index].end});
 
         } else {
 
             // if the current filter token is not an operator, then it is an operand
             // keep it in stack for now and use it later, when an actual operator is encountered
-            stack.push({token: token, idx: index});
+            stack.push({token: token, idx: index, start: tokens[index].start, end: tokens[index].end});
         }
 
         // if nothing broke so far, proceed to the next filter token
@@ -324,183 +602,271 @@ function checkFilter(filterRPN) {
     // it means all the checking until now was successful; but there is one more thing to verify:
     // there should be precisely one item in the stack, not less, not more
     if (result === true && stack.length !== 1) {
-        result = "Filter syntax error (3)";
+        result = filterError("Incomplete filter expression", stack[stack.length - 1]);
     }
 
     return result;
 }
 
 
-// performs actual data filtering using the filter expression in the Reverse Polish Notation
-// loops through the display[] array and checks each matching data row against filter expression
-// if filter expression returns 'true' then the 21st bit of the value is unset, otherwise it is set
-// the tables rows with the IDs from the display[] array with the 21st bit set will not be rendered
-function runFilter(filterRPN) {
+// performs the requested action (filtering or sorting) in the Web Worker or in the main thread (as a fallback)
+// returns a Promise that resolves to the result of the action (see 'worker.js') or to 'undefined' if the request
+// was cancelled, either by a newer request of the same kind or by calling cancelRequests()
+// (the request can be made to be performed in the main thread, e.g. if the payload cannot be passed to the Web Worker)
+function request(action, payload, inline = false) {
 
-    // result will be either Boolean true, or an actual error message String
-    let result = true;
+    // cancel the older request of the same kind (if there is one still waiting for the result)
+    cancelRequests(action);
 
-    // resolving expression in RPN notation requires a LIFO helper stack
-    const stack = [];
+    // start the Web Worker, if this was not done before, and send it the normalized data (once only)
+    if (worker === undefined) {
+        startWorker();
+    }
 
-    // loop through each display[] array item but stop if at least one error is encountered
-    // this is ensured by the .every() method that will break the loop if the callback returns false
-    display.every((rowID, key) => {
+    return new Promise(resolve => {
 
-        // reset the helper LIFO stack
-        stack.length = 0;
+        const id = ++requestID;
+        pending[action] = {id: id, payload: payload, resolve: resolve};
 
-        // remove 21st bit from the rowID (might be there from previous filtering run)
-        rowID &= 1048575;
+        if (worker && !inline) {
+            worker.postMessage({id: id, action: action, ...payload});
+        } else {
+            runInline(action, id);
+        }
+    });
+}
 
-        // apply filtering expression to the current data row by looping through each filter token
-        filterRPN.forEach(token => {
 
-            // operands and result of the operation will be determined later
-            let o1, o2, res;
+// performs the pending request in the main thread, using the actual data[] array
+async function runInline(action, id) {
 
-            // if the current filter token is one of the known operators, perform that operation
-            if ($hasProp(op, token)) {
+    const {payload} = pending[action];
+    let result;
 
-                // to perform the operation two operands are required, so get them from the stack
-                // it is already been ensured by checkFilter() that there must be at least two items available
-                o2 = stack.pop();
-                o1 = stack.pop();
+    if (action === "filter") {
+        result = await filterRows(payload.filterRPN, data, () => !pending[action] || pending[action].id !== id);
+    } else if (action === "sort") {
+        result = sortRows(payload.sortKeys, data, payload.rowIDs);
+    }
 
-                // act according to the requested operator
-                // o2 (operand #2) should already be set to correct value
-                // o1 (operand #1) is the name of the column key at this stage
-                // so the actual o1 value needs to be pulled out of the data[] array using current rowID
-                // the 'flavour' of the data value (text, int, ...) depends on the operator
-                if (token === "=" || token === "==") {
-                    res = (data[rowID][o1].match === o2);
+    settleRequest(action, id, result);
+}
 
-                } else if (token === "!=") {
-                    res = (data[rowID][o1].match !== o2);
 
-                } else if (token === "~") {
-                    res = o2.test(String(data[rowID][o1].match));
+// resolves the Promise of the pending request with the given result (unless the request is no longer pending)
+function settleRequest(action, id, result) {
 
-                } else if (token === "!~") {
-                    res = ! o2.test(String(data[rowID][o1].match));
+    if (pending[action] && pending[action].id === id) {
+        pending[action].resolve(result);
+        delete pending[action];
+    }
+}
 
-                } else if (token === "@=") {
-                    res = (data[rowID][o1].cmpMin === ((o2 & data[rowID][o1].mask) >>> 0));
 
-                } else if (token === "<") {
-                    if ($hasProp(data[rowID][o1], "cmpMax")) {
-                        o1 = data[rowID][o1].cmpMax;
-                    } else {
-                        o1 = data[rowID][o1].cmp;
-                    }
-                    res = (o1 < o2);
+// cancel the pending requests for the given actions (or all of them), the older results are no longer wanted
+function cancelRequests(...actions) {
 
-                } else if (token === ">") {
-                    if ($hasProp(data[rowID][o1], "cmpMin")) {
-                        o1 = data[rowID][o1].cmpMin;
-                    } else {
-                        o1 = data[rowID][o1].cmp;
-                    }
-                    res = (o1 > o2);
+    (actions.length ? actions : Object.keys(pending)).forEach(action => {
+        if (pending[action]) {
+            pending[action].resolve(undefined);
+            delete pending[action];
+        }
+    });
+}
 
-                } else if (token === "AND") {
-                    res = (o1 & o2);
 
-                } else if (token === "OR") {
-                    res = (o1 | o2);
-                }
+// creates the Web Worker and sends it all the data representations needed for filtering and sorting,
+// if the Web Worker cannot be created or fails to load, all requests are performed in the main thread instead
+function startWorker() {
 
-                // push the result of the operation into the stack to be used later again
-                stack.push(res);
+    worker = null;
 
-            } else if (token === "!") {
-                o1 = stack.pop();
-                stack.push(!o1);
+    if (!window.Worker) {
+        return;
+    }
 
-            // if the current filter token is not an operator, then it is an operand
-            // keep it in stack for now and use it later, when an actual operator is encountered
-            } else {
-                stack.push(token);
-            }
+    try {
+        worker = new Worker(new URL("./worker.js", import.meta.url), {type: "module"});
+    } catch (e) {
+        console.warn("Web Worker is not available, filtering and sorting will be done in the main thread");
+        return;
+    }
+
+    // deliver the results to those who are still waiting for them
+    worker.addEventListener("message", event => settleRequest(event.data.action, event.data.id, event.data.result));
+
+    // if the worker has failed (for example, module workers are not supported by the browser),
+    // get rid of it and perform all the pending requests in the main thread instead
+    worker.addEventListener("error", event => {
+        event.preventDefault();
+        console.warn("Web Worker has failed, filtering and sorting will be done in the main thread");
+        worker.terminate();
+        worker = null;
+        Object.keys(pending).forEach(action => runInline(action, pending[action].id));
+    });
+
+    // only the representations used for filtering and sorting are needed by the worker (not the HTML, etc.)
+    const reprKeys = ["match", "cmp", "cmpMin", "cmpMax", "mask"];
+
+    // (the lists of values, see 'multi' in 'specs.yml', need the same representations of each of their items)
+    const reprCell = (cell) => {
+        const repr = {};
+        reprKeys.filter(key => $hasProp(cell, key)).forEach(key => {
+            repr[key] = cell[key];
         });
+        if (cell.items) {
+            repr.items = cell.items.map(reprCell);
+        }
+        return repr;
+    };
+
+    const rows = data.map(row => {
+        const reprRow = {};
+        yaml.specs.table.forEach(column => {
+            reprRow[column.key] = reprCell(row[column.key]);
+        });
+        return reprRow;
+    });
+
+    worker.postMessage({id: 0, action: "init", rows: rows});
+}
 
-        // there should be exactly one item in the stack, i.e., the result of filtering for this row
-        if (stack.length === 1) {
 
-            // if the result is 'true', the 21st bit of the row ID shall be unset, otherwise it is set
-            display[key] = stack.pop()
-                ? display[key] & 1048575
-                : display[key] | 1048576;
+// fills the lists of known tokens (column keys and operators) used by getTokens(), done once only
+function prepareTokenLists() {
 
-            // filtering of the current row is finished now, nothing is broken, so go ahead to next row
-            return true;
+    // if there was never words token list generated before, do it now (once only, for the app lifetime)
+    if (filterTokens.word.length === 0) {
+
+        // loop through the 'specs.yml' entries and pick all the column 'key' identifiers
+        filterTokens.word = yaml.specs.table.map(column => column.key)
+            // append word-like operators to that list of 'keys' (i.e. 'AND' and 'OR' operators)
+            .concat(Object.keys(op).filter(token => token.match(/^[a-z]/i)))
+            // sort the complete list in the order of descending token length
+            .sort((a, b) => {
+                const x = a.length, y = b.length;
+                return (x > y ? -1 : (x < y ? 1 : 0));
+            });
+    }
+
+    // if there was never a non-words token list generated before, do it now (once only)
+    if (filterTokens.nonWord.length === 0) {
+
+        // from the operators list pick only those operators that are not word-like
+        filterTokens.nonWord = Object.keys(op).filter(token => !token.match(/^[a-z]/i))
+            // sort the list in the order of descending token length
+            .sort((a, b) => {
+                const x = a.length, y = b.length;
+                return (x > y ? -1 : (x < y ? 1 : 0));
+            });
+    }
+}
 
-        // if there were more (or less) than 1 items in the stack, something went wrong with RPN
+
+// the comparison operators that can be used with the column's data type (see 'operators' in registerType()), the 'ALL'
+// variants of the operators only with the columns holding lists of values (see 'multi' in 'specs.yml')
+function typeOperators(column) {
+    const rules = getType(column.type).operators;
+    return comparison.filter(token => rules[token.replace(/^ALL /, "")] !== false && (column.multi === true || !token.startsWith("ALL ")));
+}
+
+
+// splits the filter string into tokens (same as getTokens() does for filtering) and describes each token
+// with its position in the string and its kind, to be used for syntax highlighting and autocompletion:
+// 'key' (field name), 'field' (unknown field name), 'operator' (comparison operator), 'logic' (AND / OR),
+// 'paren' (parentheses), 'value' (the value to compare with) or 'term' (free-text search term)
+// (the field name at the end of the string is assumed to be the beginning of a statement, not a search term)
+function describeFilter(filter) {
+
+    prepareTokenLists();
+
+    const items = getTokens(filter, filterTokens.word, filterTokens.nonWord).filter(item => item.token !== "");
+    const tokens = items.map(item => item.token);
+    const upper = (token) => String(token).toUpperCase().replace(/\s+/g, " ");
+
+    return items.map(({token, start, end}, idx) => {
+
+        let kind;
+
+        if (upper(token) === "AND" || upper(token) === "OR") {
+            kind = "logic";
+        } else if (token === "(" || token === ")" || token === "!(" || upper(token) === "NOT(") {
+            kind = "paren";
+        } else if (comparison.includes(upper(token))) {
+            kind = "operator";
+        } else if (comparison.includes(upper(tokens[idx + 1]))) {
+            kind = (token === "*" || yaml.specs.table.some(column => column.key === token)) ? "key" : "field";
+        } else if (comparison.includes(upper(tokens[idx - 1]))) {
+            kind = "value";
+
+        // the field name at the very end, where the statement has not been typed in full yet
+        } else if (idx === tokens.length - 1 && yaml.specs.table.some(column => column.key === token)) {
+            kind = "key";
         } else {
-            result = "Filter syntax error (4)";
-            return false;
+            kind = "term";
         }
-    });
 
-    // return either Boolean true or a String (error message)
-    return result;
+        return {token: token, start: start, end: end, kind: kind};
+    });
 }
 
 
 // handle the complete process of data rows filtering with the filter string given as a parameter
-// returns boolean value where 'false' means filter parsing/usage error or 'true' in case of success
-// the main task here is to modify the display[] array that will be used to redraw the filtered table
-function filterData(filter) {
+// (optionally combined with the plain text from the quick search box, see getSearchTokens())
+// returns a Promise resolving to 'true' in case of success, to an error object (with the error .message and the
+// .start and .end position of the offending part of the filter string, see filterError()) in case of filter
+// parsing/usage error, or to 'false' if nothing was done (empty filter or the request has been cancelled)
+// the warnings about suspicious (but valid) filter statements are added to the 'warnings' list, if given
+// the main task here is to modify the display[] array that will be used to redraw the filtered table,
+// if the filter expression is found to be valid, then the rows that did not pass the filter will have
+// 21st bit set in the display[] array, so the table rows with such IDs will not be rendered
+async function filterData(filter, search = "", warnings = []) {
 
     // assume nothing is going to happen if conditions are not met
     let result = false;
 
-    // proceed if the input string is not empty
-    if (filter !== "") {
-
-        // if there was never words token list generated before, do it now (once only, for the app lifetime)
-        if (filterTokens.word.length === 0) {
-
-            // loop through the 'specs.yml' entries and pick all the column 'key' identifiers
-            filterTokens.word = yaml.specs.table.map(column => column.key)
-                // append word-like operators to that list of 'keys' (i.e. 'AND' and 'OR' operators)
-                .concat(Object.keys(op).filter(token => token.match(/^[a-z]/i)))
-                // sort the complete list in the order of descending token length
-                .sort((a, b) => {
-                    const x = a.length, y = b.length;
-                    return (x > y ? -1 : (x < y ? 1 : 0));
-                });
-        }
-
-        // if there was never a non-words token list generated before, do it now (once only)
-        if (filterTokens.nonWord.length === 0) {
+    // proceed if the input strings are not empty
+    if (filter !== "" || search !== "") {
 
-            // from the operators list pick only those operators that are not word-like
-            filterTokens.nonWord = Object.keys(op).filter(token => !token.match(/^[a-z]/i))
-                // sort the list in the order of descending token length
-                .sort((a, b) => {
-                    const x = a.length, y = b.length;
-                    return (x > y ? -1 : (x < y ? 1 : 0));
-                });
-        }
+        // make sure the lists of known tokens are ready
+        prepareTokenLists();
 
         // try to parse the input filter string into valid tokens using the known token lists
-        const tokens = getTokens(filter, filterTokens.word, filterTokens.nonWord);
+        // (the bare terms are turned into free-text search statements) and add the quick search terms
+        const filterTokenList = expandSearchTerms(getTokens(filter, filterTokens.word, filterTokens.nonWord));
+        const searchTokenList = getSearchTokens(search);
+        const tokens = (filterTokenList.length && searchTokenList.length)
+            ? [{token: "("}, ...filterTokenList, {token: ")"}, {token: "AND"}, ...searchTokenList]
+            : [...filterTokenList, ...searchTokenList];
+
+        // check the overall structure of the expression first (statements, AND / OR operators, parentheses),
+        // then convert the tokens list into Reverse Polish Notation and perform a dry-run on it to check
+        // for possible errors before filtering, result will be either Boolean true or an error object
+        result = tokens.length ? checkTokens(tokens) : false;
 
-        // if the string was parsed into at least 3 tokens then there might be a valid filter expression
-        if (tokens && tokens.length > 2) {
+        if (result === true) {
 
-            // try and convert the current tokens list into Reverse Polish Notation
-            const filterRPN = tokensToRPN(tokens);
+            const rpn = tokensToRPN(tokens);
+            const filterRPN = rpn.map(item => item.token);
 
-            // perform a dry-run on the tokenized filter to check for possible errors before filtering
-            // result will be either Boolean true or a String (error message)
-            result = checkFilter(filterRPN);
+            result = checkFilter(filterRPN, rpn, warnings);
 
             // if the syntax was correct run actual filtering routine on all table rows and return its result
             if (result === true) {
-                // result will be either Boolean true or a String (error message)
-                result = runFilter(filterRPN);
+
+                // the result will be either an array of flags (one per data row) or a String (error message)
+                // or 'undefined' (if cancelled), so only the flags are to be applied to the display[] array
+                const passed = await request("filter", {filterRPN: filterRPN});
+
+                if (passed === undefined) {
+                    result = false;
+                } else if ($typeOf(passed) === "String") {
+                    result = filterError(passed);
+                } else {
+                    display.forEach((rowID, key) => {
+                        display[key] = passed[rowID & 1048575] ? rowID & 1048575 : rowID | 1048576;
+                    });
+                }
             }
         }
     }
@@ -509,45 +875,71 @@ function filterData(filter) {
 }
 
 
-// sort table column, essentially by modifying the order of values in the display[] array
-// uses column key label and sorting order (0 / 1)
-function sortData(colKey, order) {
+// parses and checks the filter expression the same way as filterData() does, but instead of filtering the table
+// returns the expression in Reverse Polish Notation to be evaluated for single data rows (see testRow()),
+// or the error object if the expression is not valid (the warnings are of no interest here)
+function compileFilter(filter) {
 
-    // sort the display[] array using the callback function that will determine new order
-    display.sort((a, b) => {
+    prepareTokenLists();
 
-        // clear 21st bit of the row ID (operate on all rows, ignoring filtering)
-        a &= 1048575;
-        b &= 1048575;
+    const tokens = expandSearchTerms(getTokens(filter, filterTokens.word, filterTokens.nonWord));
+    let result = tokens.length ? checkTokens(tokens) : filterError("Empty filter expression");
 
-        // if the data type has 'min/max' representation (intrange), use those for comparison
-        if ($hasProp(data[a][colKey], "cmpMin")) {
+    if (result === true) {
+        const rpn = tokensToRPN(tokens);
+        const filterRPN = rpn.map(item => item.token);
+        result = checkFilter(filterRPN, rpn, []);
+        if (result === true) {
+            return filterRPN;
+        }
+    }
 
-            // for ascending direction use min values for port ranges
-            if (order) {
-                a = data[a][colKey].cmpMin;
-                b = data[b][colKey].cmpMin;
-            // for descending direction use max values for port ranges
-            } else {
-                a = data[a][colKey].cmpMax;
-                b = data[b][colKey].cmpMax;
-            }
+    return result;
+}
 
-        // otherwise, compare according to data type
-        } else {
-            a = data[a][colKey].cmp;
-            b = data[b][colKey].cmp;
-        }
 
-        // compare values corresponding to the current sort direction
-        if (order) {
-            return (a > b) ? 1 : ((a < b) ? -1 : 0);
-        } else {
-            return (b > a) ? 1 : ((b < a) ? -1 : 0);
-        }
+// sort table columns, essentially by modifying the order of values in the display[] array
+// uses the list of sort keys, each one being an object with column key label and sorting order (0 / 1),
+// the first item in the list is the primary sort key, the rest are only used to break the ties
+// returns a Promise resolving to 'true' once sorting is done or to 'false' if the request has been cancelled
+async function sortData(sortKeys) {
+
+    // the columns of the data types with their own comparison function (see 'compare' in registerType()) are sorted
+    // in the main thread, as the functions cannot be passed to the Web Worker (which is worth knowing about)
+    const typeNames = sortKeys.map(({key}) => (yaml.specs.table.find(column => column.key === key) || {}).type);
+    const compares = typeNames.map(name => getType(name).compare);
+    const inline = compares.some(compare => compare);
+
+    // the rows are sorted by their IDs (without the 21st bit, i.e. ignoring filtering)
+    const sorted = request("sort", {
+        sortKeys: inline ? sortKeys.map((sortKey, idx) => ({...sortKey, compare: compares[idx]})) : sortKeys,
+        rowIDs:   Uint32Array.from(display, rowID => rowID & 1048575)
+    }, inline);
+
+    // (the Web Worker is started by the first request, so only now it is known whether there is one)
+    typeNames.filter((name, idx) => compares[idx] && worker && !inlineSortTypes.has(name)).forEach(name => {
+        inlineSortTypes.add(name);
+        console.warn("Data type '" + name + "' has its own comparison function, so the sorting is done in the main thread");
+    });
+
+    const rowIDs = await sorted;
+
+    if (rowIDs === undefined) {
+        return false;
+    }
+
+    // rebuild the display[] array in the new order, while keeping the 21st bit of the filtered out rows
+    const hidden = new Uint8Array(data.length);
+    display.forEach(rowID => {
+        hidden[rowID & 1048575] = (rowID & 1048576) ? 1 : 0;
+    });
+    rowIDs.forEach((rowID, key) => {
+        display[key] = hidden[rowID] ? rowID | 1048576 : rowID;
     });
+
+    return true;
 }
 
 
 // this module provides sorting and filtering functions for the data table
-export {filterData, sortData};
+export {filterData, compileFilter, sortData, cancelRequests, describeFilter, typeOperators};
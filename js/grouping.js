@@ -0,0 +1,199 @@
+// globally shared state and data objects plus some useful common shortcuts and functions
+import {state, yaml, data, renderBody} from "./main.js";
+import {$, $hasProp, saveState, escapeHtml, html2text} from "./common.js";
+import {aggregateColumn} from "./aggregates.js";
+import {getType} from "./types.js";
+
+
+// the displayed text of each data row for each grouping column, built on first use (the data never changes)
+const groupValues = {};
+
+// the groups that have been collapsed by the user, identified by their path (the values of all grouping levels)
+const collapsed = new Set();
+
+// the groups drawn by the last call to groupRows(), the group header rows refer to them by their index
+let groups = [];
+
+
+// returns the list of columns the rows should be grouped by (in order of nesting), see 'group' in 'state'
+function getGroupColumns() {
+    return (state.group ? state.group.split(",") : [])
+        .map(key => yaml.specs.table.find(column => column.key === key))
+        .filter(column => column);
+}
+
+
+// returns the displayed text of the row's cell the row is grouped by
+function getGroupValue(column, rowID) {
+
+    if (!groupValues[column.key]) {
+        groupValues[column.key] = data.map(row => html2text(row[column.key].html || ""));
+    }
+
+    return groupValues[column.key][rowID];
+}
+
+
+// compares the groups by their first rows, the same way as sorting does, in the given sort order (0 / 1)
+// (including the data types with their own comparison function, see 'compare' in registerType())
+function compareGroups(column, order) {
+
+    const compare = getType(column.type).compare;
+
+    if (compare) {
+        return (a, b) => {
+            const [x, y] = [data[a.rowIDs[0]][column.key], data[b.rowIDs[0]][column.key]];
+            return Math.sign(order ? compare(x, y) : compare(y, x)) || 0;
+        };
+    }
+
+    const sortValue = (rowID) => $hasProp(data[rowID][column.key], "cmpMin")
+        ? data[rowID][column.key][order ? "cmpMin" : "cmpMax"]
+        : data[rowID][column.key].cmp;
+
+    return (a, b) => {
+        const [x, y] = order ? [sortValue(a.rowIDs[0]), sortValue(b.rowIDs[0])] : [sortValue(b.rowIDs[0]), sortValue(a.rowIDs[0])];
+        return (x > y) ? 1 : ((x < y) ? -1 : 0);
+    };
+}
+
+
+// builds the HTML code of the group header row: the column header with the group value, the number of rows,
+// and the aggregates of the columns that have them (see 'aggregate' in 'specs.yml')
+function renderGroupHeader(group) {
+
+    const aggregated = yaml.specs.view
+        .map(column => ({column: column, results: aggregateColumn(column, group.rowIDs)}))
+        .filter(item => item.results.length)
+        .map(item => escapeHtml(item.column.header) + ": " + item.results.map(res => res.name + " " + escapeHtml(res.text)).join(", "));
+
+    return "<tr class=\"group level-" + group.level + (collapsed.has(group.path) ? " collapsed" : "") + "\" data-group=\"" + group.idx + "\">" +
+        "<td colspan=\"" + yaml.specs.view.length + "\">" +
+        "<button class=\"group-toggle\" aria-expanded=\"" + !collapsed.has(group.path) + "\"></button>" +
+        "<span class=\"group-name\">" + escapeHtml(group.column.header) + ":</span> " +
+        "<span class=\"group-value\">" + (escapeHtml(group.value) || "<i>(empty)</i>") + "</span> " +
+        "<span class=\"group-count\">(" + group.rowIDs.length + (group.rowIDs.length === 1 ? " row" : " rows") + ")</span>" +
+        aggregated.map(text => "<span class=\"group-aggregate\">" + text + "</span>").join("") +
+        "</td></tr>";
+}
+
+
+// splits the list of row IDs into groups by the values of the first grouping column (then each group by the next
+// grouping column and so on), the rows keep their order within each group (i.e. the order set by sortData()),
+// the groups are ordered by their values (descending, if the table is sorted by the grouping column that way)
+// returns the list of the rows to be drawn: row IDs mixed with the group header rows (objects with .html),
+// the rows of collapsed groups are left out (but they still count in the number of rows of their groups)
+function groupRows(rowIDs, sortStack = []) {
+
+    const columns = getGroupColumns();
+
+    groups = [];
+
+    if (!columns.length) {
+        return rowIDs;
+    }
+
+    const nest = (ids, level, path) => {
+
+        const column = columns[level];
+        const sorted = sortStack.find(item => item.colKey === column.key);
+        const byValue = new Map();
+
+        // the rows are split by their values, in order of appearance
+        ids.forEach(rowID => {
+            const value = getGroupValue(column, rowID);
+            if (!byValue.has(value)) {
+                byValue.set(value, []);
+            }
+            byValue.get(value).push(rowID);
+        });
+
+        return Array.from(byValue, ([value, groupIDs]) => ({column: column, value: value, rowIDs: groupIDs, level: level, path: path + "\u0001" + value}))
+            .sort(compareGroups(column, (sorted && sorted.order === "desc") ? 0 : 1))
+            .flatMap(group => {
+
+                group.idx = groups.push(group) - 1;
+
+                const header = {html: renderGroupHeader(group)};
+                if (collapsed.has(group.path)) {
+                    return [header];
+                }
+                return [header, ...(level + 1 < columns.length ? nest(group.rowIDs, level + 1, group.path) : group.rowIDs)];
+            });
+    };
+
+    return nest(rowIDs, 0, "");
+}
+
+
+// draws the list of the grouping columns (each can be removed) and the selector to add another one
+function renderGroupControls() {
+
+    const columns = getGroupColumns();
+
+    $("#group-keys").innerHTML = columns.map(column =>
+        "<button data-key=\"" + escapeHtml(column.key) + "\" title=\"Stop grouping by this column\">" + escapeHtml(column.header) + " &times;</button>"
+    ).join("");
+
+    $("#group-add").innerHTML = "<option value=\"\">" + (columns.length ? "then by&hellip;" : "choose column&hellip;") + "</option>" +
+        yaml.specs.table.filter(column => !columns.includes(column)).map(column =>
+            "<option value=\"" + escapeHtml(column.key) + "\">" + escapeHtml(column.header) + "</option>"
+        ).join("");
+}
+
+
+// changes the grouping columns, stores them in the global 'state' and redraws the table body
+function setGroupColumns(keys) {
+
+    // (in 'paged' rendering mode, the newly grouped table is always displayed from the first page)
+    saveState({group: keys.length ? keys.join(",") : undefined, page: undefined});
+
+    renderGroupControls();
+    renderBody();
+}
+
+
+// enables the behaviour of the group header rows (collapsing and expanding the groups)
+// and, if it is enabled in 'specs.yml', shows the controls to choose the grouping columns
+function setupGrouping() {
+
+    // the group header rows are drawn together with the data rows, so the handler is registered for the whole body
+    $("#data-table tbody").addEventListener("click", event => {
+        const $tr = event.target.closest("tr.group");
+        if ($tr) {
+            const path = groups[$tr.dataset.group].path;
+            if (collapsed.has(path)) {
+                collapsed.delete(path);
+            } else {
+                collapsed.add(path);
+            }
+            renderBody();
+        }
+    });
+
+    if (yaml.specs.options.group !== true) {
+        return;
+    }
+
+    $("#group-keys").addEventListener("click", event => {
+        if (event.target.dataset.key) {
+            setGroupColumns(getGroupColumns().map(column => column.key).filter(key => key !== event.target.dataset.key));
+        }
+    });
+
+    $("#group-add").addEventListener("change", event => {
+        if (event.target.value) {
+            setGroupColumns([...getGroupColumns().map(column => column.key), event.target.value]);
+        }
+    });
+
+    // the grouping columns may change whenever the state is applied (e.g. while navigating the history)
+    document.addEventListener("applyState", renderGroupControls);
+
+    renderGroupControls();
+    $("#group-block").removeAttribute("hidden");
+}
+
+
+// this module provides grouping of the table rows, with collapsible group header rows showing the aggregates
+export {groupRows, setupGrouping};
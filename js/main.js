@@ -1,6 +1,16 @@
 // global variables and functions from other modules
-import {$, $$, $hasProp, $typeOf, saveState, escapeHtml, html2text, value2array, normalizeValue} from "./common.js";
-import {filterData, sortData} from "./filtersort.js";
+import {$, $$, $hasProp, $typeOf, saveState, escapeHtml, value2array} from "./common.js";
+import {normalizeValue} from "./types.js";
+import {filterData, sortData, cancelRequests} from "./filtersort.js";
+import {exportFormats, setupExport, exportData} from "./export.js";
+import {setupFilterInput, renderHighlight, setFilterError, setFilterWarnings} from "./filterinput.js";
+import {setupPresets, renderPresets} from "./presets.js";
+import {renderColumnFilters, setupColumnFilters} from "./columnfilters.js";
+import {setupFacets} from "./facets.js";
+import {groupRows, setupGrouping} from "./grouping.js";
+import {getFooter, renderFooter} from "./aggregates.js";
+import {computeColumns} from "./compute.js";
+import {getSourceFiles, mapData} from "./mapping.js";
 import "./data.js";
 
 
@@ -22,16 +32,26 @@ const state = {};
 // human readable labels for sorting order, also used as CSS class names
 const sortOrder = {"desc": 0, "asc": 1};
 
-// a "spare" link element (never part of displayed contents) used as a helper to fake data download link
-const $exportHelper = document.createElement("a");
+// the number of filtering and sorting operations in progress (the busy indicator is shown while it's not zero)
+let busyCount = 0;
+
+// the list of IDs of the rows that passed the current filter (in the order of displaying), rebuilt by renderBody()
+// and used for drawing parts of the table body when 'virtual' or 'paged' rendering is enabled in 'specs.yml'
+// (when the rows are grouped, the list also holds the group header rows and leaves out the collapsed groups)
+let visibleRows = [];
+
+// the number of rows that passed the current filter (the length of visibleRows[] if the rows are not grouped)
+let visibleCount = 0;
+
+// the range of visible rows currently drawn in the table body and the (average) height of a single table row,
+// both are used in the 'virtual' rendering mode to decide which rows should be drawn while scrolling the page
+const drawnRows = {first: 0, last: -1, height: 20};
 
-// define separator characters for cells and rows when doing CSV-like export
-const CSVfieldSeparator = "\t";
-const CSVrecordSeparator = "\r\n";
 
 
 // check if a partial or full column set needs to be displayed using 'view' property defined in global state,
 // use view rules from specs.yml, including the _default view that should be displayed when no view is chosen
+// (a view is either a list of columns or an object with such list as 'columns' and the grouping columns as 'group')
 function setupView() {
 
     // check if we have to display a 'view', i.e. a subset of columns only
@@ -42,12 +62,19 @@ function setupView() {
             saveState({view: yaml.specs.views._default}, true); // 'true' causes History.replaceState()
         }
 
+        // the view may come with its own grouping columns, used unless some grouping has been chosen already
+        const viewSpec = (state.view && $hasProp(yaml.specs.views, state.view)) ? yaml.specs.views[state.view] : undefined;
+        const viewColumns = ($typeOf(viewSpec) === "Object") ? viewSpec.columns : viewSpec;
+        if (!state.group && $typeOf(viewSpec) === "Object" && Array.isArray(viewSpec.group) && viewSpec.group.length) {
+            saveState({group: viewSpec.group.join(",")}, true); // 'true' causes History.replaceState()
+        }
+
         // check if the view exists (and is not 'full') and is an array; if so construct new array of table columns
-        if (state.view && state.view !== "full" && $hasProp(yaml.specs.views, state.view) && Array.isArray(yaml.specs.views[state.view])) {
+        if (state.view && state.view !== "full" && Array.isArray(viewColumns)) {
 
             yaml.specs.view = [];
 
-            yaml.specs.views[state.view].forEach(key => {
+            viewColumns.forEach(key => {
                 const column = yaml.specs.table.find(col => col.key === key);
                 if (column) {
                     yaml.specs.view.push(column);
@@ -77,8 +104,8 @@ function renderHeader() {
 
     ).join("") + "</tr>";
 
-    // inject the table header HTML into the actual table
-    $("#data-table thead").innerHTML = thead;
+    // inject the table header HTML into the actual table (followed by the column filter row, if it is enabled)
+    $("#data-table thead").innerHTML = thead + renderColumnFilters();
 
     // if table sorting is enabled in the global settings, assign table header handlers
     if (yaml.specs.options.sort === true) {
@@ -94,13 +121,16 @@ function renderHeader() {
 
 // prepare all HTML code needed for rendering table rows using the data array
 // this basically acts as a HTML 'cache' so that the renderBody() can rely on it every time
-function preRenderBody() {
+// (the normalization can be skipped if it has just been done, e.g. by computeColumns())
+function preRenderBody(normalized = false) {
 
     // loop through each data row
     data.forEach(row => {
 
         // for each data cell run the normalization procedure to make sure the data is legit
-        yaml.specs.table.forEach(column => normalizeValue(row, column));
+        if (!normalized) {
+            yaml.specs.table.forEach(column => normalizeValue(row, column));
+        }
 
         // loop through each column in the current view (from specs.yaml)
         const cellsHTML = (yaml.specs.view || []).map(column => {
@@ -130,21 +160,17 @@ function preRenderBody() {
 
 // apply filtering, sorting and optional custom transformations to data using current 'state'
 // (useful for initial page load and during back/forward navigation)
-function applyState() {
+// returns a Promise that resolves once both filtering and sorting are done
+async function applyState() {
 
-    // if there is a filter present, it needs to be applied
-    if (state.filter) {
-        filterRows();
+    // if there is a filter or a quick search present, it needs to be applied
+    if (state.filter || state.search) {
+        await filterRows();
     }
 
-    // if there is sorting to be done, do it on the appropriate column
+    // if there is sorting to be done, do it on the appropriate column(s)
     if (state.sort) {
-        // check if sorted column is declared (sanity checking for column name)
-        const colIndex = yaml.specs.view.findIndex(column => column.key === state.sort);
-        if (colIndex > -1) {
-            const $th = $("#data-table thead th:nth-child(" + (colIndex + 1) + ")");
-            sortColumn({target: $th, detail: state.order});
-        }
+        await sortRows(getSortStack());
     }
 
     // fire custom state handler
@@ -155,19 +181,142 @@ function applyState() {
 // create main table's body HTML code using the following components:
 //    - display[] array as the guide (what rows should be displayed and in what order)
 //    - data[] array as the source of the actual data to be placed in table rows
+// depending on the rendering mode set in 'specs.yml' either all, or only some of the rows will be drawn
 function renderBody() {
 
     // filter out only those rows where the 21st bit is NOT set for their rowID,
     // meaning that only the rows passing the current filter should be displayed
-    const visibleRows = display.filter(rowID => !(rowID & 1048576));
+    // (then group them, if the grouping columns have been chosen)
+    const passedRows = display.filter(rowID => !(rowID & 1048576));
+    visibleCount = passedRows.length;
+    visibleRows = groupRows(passedRows, getSortStack());
+
+    // the aggregates in the table footer are computed over all of the rows passing the filter
+    renderFooter(passedRows);
+
+    // draw only the rows around the current scroll position
+    if (yaml.specs.options.render === "virtual") {
+        renderWindow(true);
+
+    // draw only the rows of the current page
+    } else if (yaml.specs.options.render === "paged") {
+        renderPage();
+
+    // draw all of the rows at once
+    } else {
+        renderRows(0, visibleRows.length - 1);
+    }
+}
+
+
+// inject the pre-rendered HTML of the given range of visible rows into the actual DOM
+// optionally surrounded by empty 'spacer' rows that take up the space of the rows that were left out
+function renderRows(first, last, spaceBefore = 0, spaceAfter = 0) {
+
+    // spacer row is a single cell spanning all columns with the height given in pixels
+    const spacer = (height) => "<tr class=\"spacer\"><td colspan=\"" + yaml.specs.view.length +
+        "\" style=\"height: " + height + "px\"></td></tr>";
 
     // loop through the visible rows and use the pre-rendered HTML from the _row.html property
-    // to inject the resulting long HTML string into the actual DOM
-    $("#data-table tbody").innerHTML = visibleRows.map(rowID =>data[rowID]._row.html).join("\n");
+    // to inject the resulting long HTML string into the actual DOM (the group header rows come with their own HTML)
+    $("#data-table tbody").innerHTML = (spaceBefore > 0 ? spacer(spaceBefore) : "") +
+        visibleRows.slice(first, last + 1).map(item => $typeOf(item) === "Object" ? item.html : data[item]._row.html).join("\n") +
+        (spaceAfter > 0 ? spacer(spaceAfter) : "");
+
+    // remember what has been drawn
+    drawnRows.first = first;
+    drawnRows.last = last;
 
     // dispatch custom event after the table has been redrawn (in case someone is listening)
-    // pass the count of visible rows to the event handler via the [event].detail property
-    document.dispatchEvent(new CustomEvent("postRender", {detail: {visibleRowsCount: visibleRows.length}}));
+    // pass the count of visible rows to the event handler via the [event].detail property,
+    // as well as the positions of the first and the last drawn row within the list of visible rows
+    // (when the rows are grouped, the positions also count the group header rows)
+    document.dispatchEvent(new CustomEvent("postRender", {detail: {
+        visibleRowsCount: visibleCount,
+        firstRow:         first,
+        lastRow:          last
+    }}));
+}
+
+
+// 'virtual' rendering mode: draw only the rows that are within (or close to) the browser viewport,
+// the table body is redrawn when the page is scrolled far enough to reveal the rows that were not drawn,
+// unless the redraw is forced (i.e. the list of visible rows has changed since the last time)
+function renderWindow(force = false) {
+
+    // how many extra rows should be drawn above and below the rows that are actually in the viewport
+    const overscan = 30;
+
+    // measure the average height of the rows currently drawn (rows are not guaranteed to be of equal height)
+    const $rows = $$("#data-table tbody tr:not(.spacer)");
+    if ($rows.length) {
+        const height = ($rows[$rows.length - 1].getBoundingClientRect().bottom - $rows[0].getBoundingClientRect().top) / $rows.length;
+        drawnRows.height = height > 0 ? height : drawnRows.height;
+    }
+
+    // determine which of the visible rows are currently within the viewport
+    const scrolled = Math.max(0, -$("#data-table tbody").getBoundingClientRect().top);
+    const viewFirst = Math.floor(scrolled / drawnRows.height);
+    const viewLast = Math.ceil((scrolled + window.innerHeight) / drawnRows.height);
+
+    // nothing to do if the rows within the viewport have already been drawn
+    if (!force && viewFirst >= drawnRows.first && Math.min(viewLast, visibleRows.length - 1) <= drawnRows.last) {
+        return;
+    }
+
+    // determine the range of rows to be drawn (taking into account that the list of rows might have become shorter)
+    const windowSize = viewLast - viewFirst + 2 * overscan;
+    let first = Math.max(0, Math.min(viewFirst - overscan, visibleRows.length - windowSize));
+    const last = Math.min(visibleRows.length - 1, first + windowSize);
+
+    // the zebra colouring of table rows relies on odd/even position of the row within the table body,
+    // so the top spacer row (when present) must be followed by the row with an odd index to keep the colours
+    if (first > 0 && first % 2 === 0) {
+        first -= 1;
+    }
+
+    renderRows(first, last, first * drawnRows.height, (visibleRows.length - 1 - last) * drawnRows.height);
+}
+
+
+// 'paged' rendering mode: draw only the rows belonging to the current page (stored in the global 'state')
+// and update page navigation controls accordingly
+function renderPage() {
+
+    // calculate the number of pages and make sure the current page is within the limits
+    const pageSize = parseInt(yaml.specs.options.pageSize) || 100;
+    const pages = Math.max(1, Math.ceil(visibleRows.length / pageSize));
+    const page = Math.min(Math.max(1, parseInt(state.page) || 1), pages);
+
+    // update page navigation controls
+    $("#pager output").textContent = "Page " + page + " of " + pages;
+    $("#pager-first").disabled = $("#pager-prev").disabled = (page === 1);
+    $("#pager-last").disabled = $("#pager-next").disabled = (page === pages);
+
+    renderRows((page - 1) * pageSize, Math.min(page * pageSize, visibleRows.length) - 1);
+}
+
+
+// handle the click on one of the page navigation buttons, switch to another page and redraw the table body
+function changePage(event) {
+
+    // determine the current page and the total number of pages
+    const pageSize = parseInt(yaml.specs.options.pageSize) || 100;
+    const pages = Math.max(1, Math.ceil(visibleRows.length / pageSize));
+    const page = Math.min(Math.max(1, parseInt(state.page) || 1), pages);
+
+    // figure out the new page number depending on which button was clicked
+    const newPage = {
+        "pager-first": 1,
+        "pager-prev":  page - 1,
+        "pager-next":  page + 1,
+        "pager-last":  pages
+    }[event.target.id] || page;
+
+    // the first page is the default one, so there is no need to keep it in the URL
+    saveState({page: newPage > 1 ? String(newPage) : undefined});
+
+    renderPage();
 }
 
 
@@ -183,94 +332,181 @@ function recoverStateFromURI() {
         });
     }
 
-    // initialize filter input
+    // initialize filter and quick search inputs
     $("#filter").value = state.filter || "";
+    $("#search").value = state.search || "";
+    renderHighlight();
+}
+
+
+// shows the busy indicator until the given Promise (filtering or sorting operation) is settled
+// returns a Promise resolving to the same value as the given one
+async function whileBusy(promise) {
+
+    busyCount += 1;
+    $("#busy").removeAttribute("hidden");
+    $("#data-table").classList.add("busy");
+
+    try {
+        return await promise;
+    } finally {
+        busyCount -= 1;
+        if (!busyCount) {
+            $("#busy").setAttribute("hidden", "");
+            $("#data-table").classList.remove("busy");
+        }
+    }
 }
 
 
 // reset data filtering and sorting to default (initial state)
 function resetDataFilterSort() {
 
+    // make sure that the filtering/sorting still in progress (if any) will not be applied
+    cancelRequests();
+
     // clear filtering that may have already been applied
     $("#filter").value = "";
-    $("#filter-error").setAttribute("hidden", "");
+    $("#search").value = "";
+    setFilterError(null);
+    setFilterWarnings([]);
     display.forEach((_unused, key) => display[key] &= 1048575);
 
-    // remove all sorting related classes from all table headers
+    // remove all sorting related classes and sort priority numbers from all table headers
     const keys = Object.keys(sortOrder);
-    $$("#data-table thead th").forEach($th => $th.classList.remove(...keys));
+    $$("#data-table thead th").forEach($th => {
+        $th.classList.remove(...keys);
+        $th.removeAttribute("data-sort-priority");
+    });
 }
 
 
-// perform column sorting routine on table data and re-render table, when appropriate
-function sortColumn(event) {
+// decode the sort stack from the global 'state', where 'sort' and 'order' hold comma separated lists
+// of column keys and their sorting orders (the first column is the primary sort key, the second is
+// the secondary and so on), returns an array of objects like {colKey: ..., order: ...}
+function getSortStack() {
 
-    // when changing the view but keeping sorting by column, it can happen that the column is gone
-    if (!event.target) {
-        return;
-    }
+    // if sorting order is missing or weird for any column, ascending order is assumed
+    const orders = String(state.order || "").split(",");
 
-    // determine column index and column data key, also set the default sort order
-    const colIdx = event.target.cellIndex;
-    const colKey = yaml.specs.view[colIdx].key;
-    let order = "asc";
+    return (state.sort ? state.sort.split(",") : []).map((colKey, idx) => ({
+        colKey: colKey,
+        order:  $hasProp(sortOrder, orders[idx]) ? orders[idx] : "asc"
+    }));
+}
 
-    // if this was true mouse click on table header (and not a simulated even handler trigger)
-    if (event.composed) {
 
-        // clear relevant CSS classes from previously sorted column (if such column existed)
-        const prevCol = $("#data-table thead th[title='" + state.sort + "']");
+// perform sorting of table data using the sort stack (see getSortStack() above),
+// also updates sorting related CSS classes and sort priority numbers of the table headers
+// returns a Promise resolving to 'true' once sorting is done or to 'false' if it was not done (or cancelled)
+async function sortRows(sortStack) {
 
-        if (prevCol) {
-            prevCol.classList.remove(...Object.keys(sortOrder));
-        }
+    // only the columns that are present in the current view can be sorted by
+    // (when changing the view but keeping sorting by column, it can happen that the column is gone)
+    const sortKeys = sortStack
+        .map(item => ({colIdx: yaml.specs.view.findIndex(column => column.key === item.colKey), colKey: item.colKey, order: item.order}))
+        .filter(item => item.colIdx > -1);
 
-        // figure out new sorting order (depends if the same column was sorted-by previously or not)
-        if (state.sort && state.sort === colKey) {
-            order = Object.keys(sortOrder).filter(z => z !== state.order)[0];
-        }
-
-    // if this was a simulated click event (due to new page load with pre-existing state)
-    } else if (event.detail === "asc" || event.detail === "desc") {
-
-        order = event.detail;
+    if (!sortKeys.length) {
+        return false;
     }
 
     // fire custom pre-sorting event, in case someone is listening, pass basic information via 'event.detail'
-    document.dispatchEvent(new CustomEvent("preSort", {detail: {colIdx: colIdx, colKey: colKey, order: order}}));
+    // (colIdx, colKey and order describe the primary sort column, sortKeys contains the complete sort stack)
+    document.dispatchEvent(new CustomEvent("preSort", {detail: {...sortKeys[0], sortKeys: sortKeys}}));
+
+    // clear relevant CSS classes and priority numbers from previously sorted columns (if such columns existed)
+    $$("#data-table thead th").forEach($th => {
+        $th.classList.remove(...Object.keys(sortOrder));
+        $th.removeAttribute("data-sort-priority");
+    });
 
-    // assign new CSS class to the current column depending on the sort order
-    event.target.classList.add(order);
+    // assign new CSS class to each sorted column depending on the sort order,
+    // the sort priority number is only shown when sorting by more than one column
+    sortKeys.forEach((item, idx) => {
+        const $th = $("#data-table thead th:nth-child(" + (item.colIdx + 1) + ")");
+        $th.classList.add(item.order);
+        if (sortKeys.length > 1) {
+            $th.setAttribute("data-sort-priority", idx + 1);
+        }
+    });
 
-    // perform column sorting (modify 'data' array according to all the rules for each data type)
-    sortData(colKey, sortOrder[order]);
+    // perform column sorting (modify 'display' array according to all the rules for each data type)
+    // sorting is done asynchronously and it will be cancelled if another sorting is requested in the meantime
+    if (!await whileBusy(sortData(sortKeys.map(item => ({key: item.colKey, order: sortOrder[item.order]}))))) {
+        return false;
+    }
 
     // fire custom post-sorting event, in case someone is listening, pass basic information via 'event.detail'
-    document.dispatchEvent(new CustomEvent("postSort", {detail: {colIdx: colIdx, colKey: colKey, order: order}}));
+    document.dispatchEvent(new CustomEvent("postSort", {detail: {...sortKeys[0], sortKeys: sortKeys}}));
 
-    // change page state only if the event came from actual column header click
-    if (event.composed) {
+    return true;
+}
 
-        // modify the URL in the browser address bar to reflect current sort field and sort order
-        saveState({sort: colKey, order: order});
 
-        // redraw table body because the order of rows might have changed
-        renderBody();
+// handle the click on the column header and re-render table
+// ordinary click sorts by a single column (flipping the order if the column was already the primary sort key),
+// SHIFT + click adds the column to the sort stack or flips the order if the column is already in the stack
+async function sortColumn(event) {
+
+    // determine column data key, also get the current sort stack
+    const colKey = yaml.specs.view[event.target.cellIndex].key;
+    const flipOrder = (order) => Object.keys(sortOrder).filter(z => z !== order)[0];
+    let sortStack = getSortStack();
+    const sorted = sortStack.find(item => item.colKey === colKey);
+
+    // SHIFT + click modifies the existing sort stack
+    if (event.shiftKey) {
+        if (sorted) {
+            sorted.order = flipOrder(sorted.order);
+        } else {
+            sortStack.push({colKey: colKey, order: "asc"});
+        }
+
+    // ordinary click replaces the sort stack with a single column
+    } else {
+        sortStack = [{colKey: colKey, order: (sorted && sortStack[0] === sorted) ? flipOrder(sorted.order) : "asc"}];
     }
+
+    // modify the URL in the browser address bar to reflect current sort fields and sort orders
+    // (in 'paged' rendering mode, the newly sorted table is always displayed from the first page)
+    // this is done right away, so that the next click (while sorting is still in progress) builds upon it
+    saveState({
+        sort:  sortStack.map(item => item.colKey).join(","),
+        order: sortStack.map(item => item.order).join(","),
+        page:  undefined
+    });
+
+    // perform the actual sorting (nothing else to do if it was superseded by another sorting request)
+    if (!await sortRows(sortStack)) {
+        return;
+    }
+
+    // redraw table body because the order of rows might have changed
+    renderBody();
 }
 
 
 // perform row filtering routine on table data and re-render table, when appropriate
-function filterRows(event = {target: {}}) {
+// the new state replaces the current browser history entry instead of adding one if 'replace' is set
+// returns a Promise that resolves once filtering is done (or cancelled by a newer filtering request)
+async function filterRows(event = {target: {}}, replace = false) {
 
-    // get the current filter text from the 'input' HTML element
+    // get the current filter text and the quick search text from the 'input' HTML elements
     const filter = $("#filter").value.trim();
+    const search = $("#search").value.trim();
 
     // fire the pre-filtering event for custom handlers that might be listening
     document.dispatchEvent(new Event("preFilter"));
 
-    // try applying the filter to the display[] array
-    const filterResult = filterData(filter);
+    // try applying the filter to the display[] array (collecting the warnings about suspicious statements)
+    const warnings = [];
+    const filterResult = await whileBusy(filterData(filter, search, warnings));
+
+    // the warnings are shown regardless of whether filtering has succeeded (unless it has been cancelled)
+    if (filterResult !== false) {
+        setFilterWarnings(warnings);
+    }
 
     // if filtering was successful, proceed with repainting the table
     if (filterResult === true) {
@@ -282,51 +518,90 @@ function filterRows(event = {target: {}}) {
         if (event.composed) {
 
             // modify the URL in the browser address bar to reflect current filter
-            saveState({filter: filter});
+            // (in 'paged' rendering mode, the newly filtered table is always displayed from the first page)
+            // (the filter changed by the user is no longer the one of the active preset, if there was any)
+            saveState({filter: filter || undefined, search: search || undefined, preset: undefined, page: undefined}, replace);
+            renderPresets();
 
             // reset error message placeholder
-            $("#filter-error").setAttribute("hidden", "");
+            setFilterError(null);
 
             // if applying the filter succeeded (i.e. filter syntax was OK)
             // then re-render table body using updated display[] array
             renderBody();
         }
 
-    //if the returned value is a string, it must be the error message, so display it
-    } else if ($typeOf(filterResult) === "String") {
-        $("#filter-error").innerHTML = escapeHtml(filterResult);
-        $("#filter-error").removeAttribute("hidden");
+    // if the returned value is an object, it must be the error, so display it (and underline the offending part)
+    } else if ($typeOf(filterResult) === "Object") {
+        setFilterError(filterResult);
     }
 }
 
 
 // clicking on any table cell should auto create filters by using information about column and cell value
 // also takes into account if SHIFT or CTRL key was pressed to allow multiple AND / OR conditions
+// (SHIFT + click on several cells of the same column builds the IN list rather than a chain of OR conditions)
 function createFilter(event = {target: {}}) {
 
-    // check that the event was triggered on the actual table cell (vs link inside a table cell)
-    if (event.target.localName !== "td") {
+    // an item of the list of values (see 'multi' in 'specs.yml') stands for the table cell, but with its own value
+    const $item = (event.target.classList && event.target.classList.contains("list-item")) ? event.target : null;
+    const $td = $item ? $item.closest("td") : event.target;
+
+    // check that the event was triggered on the actual table cell (vs link inside a table cell, a spacer row or a group header row)
+    if ($td.localName !== "td" || $td.parentNode.classList.contains("spacer") || $td.parentNode.classList.contains("group")) {
         return;
     }
 
     // determine field 'key' from the 'specs.yml' file by using the index of the target view column
-    const field = yaml.specs.view[event.target.cellIndex].key;
+    const field = yaml.specs.view[$td.cellIndex].key;
+
+    // determine the actual value held in the table cell (or the list item) and add the condition to the filter
+    addToFilter(field, event.altKey ? "~" : "=", ($item || $td).textContent, event);
+}
 
-    // determine the actual value held in the table cell
-    const value = event.target.textContent;
 
-    // check the value for presence of whitespace and other operator-like characters
-    const quote = (!value || value.match(/[\s<>()!=~@]/)) ? "\"" : "";
+// adds the condition for the field to the filter the same way as clicking on a table cell does (see createFilter()),
+// the operator is either '=', '~', 'IN' (the value is then a single item of the list) or 'BETWEEN' (the value is then
+// an array with the lowest and the highest value), 'modifiers' tell if SHIFT or CTRL key was pressed (like an event)
+function addToFilter(field, operator, value, modifiers = {}) {
 
+    // check the value for presence of whitespace and other operator-like characters,
     // if the value contained special characters then use quotes around it
-    const filter = field + (event.altKey ? " ~ " : " = ") + quote + value + quote;
+    const quote = (val) => (!val || val.match(/[\s<>()!=~@,]/)) ? "\"" + val + "\"" : val;
+
+    // the condition to be added to the filter
+    let filter;
+    if (operator === "IN") {
+        filter = field + " IN (" + quote(value) + ")";
+    } else if (operator === "BETWEEN") {
+        filter = field + " BETWEEN " + quote(value[0]) + " AND " + quote(value[1]);
+    } else {
+        filter = field + " " + operator + " " + quote(value);
+    }
+
+    // the current filter may end with the IN list or with the simple '=' condition for the same field
+    const fieldRegex = field.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const inList = $("#filter").value.match(new RegExp("(^|\\s)" + fieldRegex + "\\s+IN\\s*\\(((?:\"[^\"]*\"|[^\"()])*)\\)$", "i"));
+    const equals = $("#filter").value.match(new RegExp("(^|\\s)" + fieldRegex + "\\s*==?\\s*(\"[^\"]*\"|[^\\s()\"]+)$", "i"));
 
     // if there was a CTRL key pressed during mouse click, append filter part with the AND condition
-    if (event.ctrlKey) {
+    if (modifiers.ctrlKey) {
         $("#filter").value = $("#filter").value + ($("#filter").value ? " AND " : "") + filter;
 
+    // if there was a SHIFT key pressed during mouse click and the filter ends with the IN list for the same field,
+    // append the value to that list
+    } else if (modifiers.shiftKey && (operator === "=" || operator === "IN") && inList) {
+        $("#filter").value = $("#filter").value.substring(0, inList.index) + inList[1] +
+            field + " IN (" + inList[2].trim() + ", " + quote(value) + ")";
+
+    // if there was a SHIFT key pressed during mouse click and the filter ends with '=' condition for the same field,
+    // replace that condition with the IN list holding both values
+    } else if (modifiers.shiftKey && operator === "=" && equals) {
+        $("#filter").value = $("#filter").value.substring(0, equals.index) + equals[1] +
+            field + " IN (" + equals[2] + ", " + quote(value) + ")";
+
     // if there was a SHIFT key pressed during mouse click, append filter part with the OR condition
-    } else if (event.shiftKey) {
+    } else if (modifiers.shiftKey) {
         $("#filter").value = $("#filter").value + ($("#filter").value ? " OR " : "") + filter;
 
     // if this was an ordinary mouse click, then replace current filter value with the new one
@@ -334,25 +609,32 @@ function createFilter(event = {target: {}}) {
         $("#filter").value = filter;
     }
 
-    // hide error message placeholder
-    $("#filter-error").setAttribute("hidden", "");
+    // hide error message placeholder (the filter input is re-coloured after the change, too)
+    setFilterError(null);
+    setFilterWarnings([]);
 }
 
 
 // reset all filtering and update table view accordingly
 function clearFilter() {
 
-    // clear current filter value in the HTML 'input' element
+    // clear current filter and quick search values in the HTML 'input' elements
     $("#filter").value = "";
+    $("#search").value = "";
+
+    // reset error message placeholder (the filter input is re-coloured after the change, too)
+    setFilterError(null);
+    setFilterWarnings([]);
 
-    // reset error message placeholder
-    $("#filter-error").setAttribute("hidden", "");
+    // make sure that the filtering still in progress (if any) will not be applied after clearing
+    cancelRequests("filter");
 
     // remove 21st bit from every value in the display[] array to indicate 'no filtering'
     display.forEach((_unused, key) => display[key] &= 1048575);
 
     // update global state
-    saveState({filter: undefined});
+    saveState({filter: undefined, search: undefined, preset: undefined, page: undefined});
+    renderPresets();
 
     // fire the clear-filtering event for custom handlers that might be listening
     document.dispatchEvent(new Event("clearFilter"));
@@ -362,46 +644,13 @@ function clearFilter() {
 }
 
 
-// creates a 'tab-separated CSV-like' text document that is served to the client
-// simulates file download behaviour that forces browser to download a text file
-function exportData() {
-
-    // first get the list of column keys that are currently visible
-    const visibleCols = Array
-        .from(document.querySelectorAll("thead th"))
-        .filter(el => el.offsetHeight || el.offsetWidth)
-        .map(el => el.title);
-
-    // create header row out of the header tags from 'specs.yml'
-    const headerRow = yaml.specs.table
-        .filter(column => visibleCols.includes(column.key))
-        .map(column => column.header)
-        .join(CSVfieldSeparator);
-
-    // iterate through each row and filter our hidden rows
-    // then, for each row iterate through the list of cells as per 'visibleCols' above
-    // return tab separated text values (obtained from .html representation) joined into rows
-    const bodyRows = display
-        .filter(rowID => !(rowID & 1048576))
-        .map(rowID => visibleCols
-            .map(colID => html2text(data[rowID][colID].html || ""))
-            .join(CSVfieldSeparator)
-        ).join(CSVrecordSeparator);
-
-    // construct final payload for downloading
-    const exportedData = headerRow + CSVrecordSeparator + bodyRows;
-
-    // simulate file download behaviour using 'Data URL' browser feature
-    $exportHelper.href = "data:text/csv," + encodeURIComponent(exportedData);
-    $exportHelper.download = "export.txt";
-    $exportHelper.dispatchEvent(new MouseEvent("click", {bubbles: true, cancelable: true}));
-}
-
-
 // main initialiser block that assigns loaded YAML data to all necessary data structures
 // also creates initial table view and assigns event handlers to HTML page elements (buttons, table cells)
 // runs only after all YAML resources have finished loading, so the ymlData array should contain all data necessary
-function init(ymlData) {
+async function init(ymlData) {
+
+    // the keys the YAML files declared in the 'source' section of 'specs.yml' have ended up under (see mapData())
+    const sourceKeys = {};
 
     // assign resources loaded from YAML files to the yaml{} global object
     ymlData.forEach(file => {
@@ -419,6 +668,10 @@ function init(ymlData) {
 
         // assign YAML data to yaml object with the correct key
         yaml[file.key] = file.data;
+
+        if ($hasProp(file, "source")) {
+            sourceKeys[file.source] = file.key;
+        }
     });
 
     // normalize & sanitize CSS class definitions and date format strings from 'specs.yml'
@@ -434,7 +687,11 @@ function init(ymlData) {
         delete yaml.specs.options.dateFormat;
     }
 
+    // fill the 'data' array with the records declared in the 'source' section of 'specs.yml' (if any)
+    mapData(sourceKeys);
+
     // call custom data parser from 'data.js' that should populate the 'data' array
+    // (or adjust the rows that have already been filled in there, or replace them altogether)
     document.dispatchEvent(new Event("initData"));
 
     // fill the display[] array with initial values that correspond (one to one) to the data[] array keys
@@ -447,11 +704,14 @@ function init(ymlData) {
     // decide what columns need to be displayed
     setupView();
 
+    // fill the columns computed from the other columns of the row (see 'compute' in 'specs.yml')
+    const normalized = computeColumns();
+
     // output HTML table header using the data from 'specs.yml'
     renderHeader();
 
-    // prepare all table body HTML for future (re-)rendering
-    preRenderBody();
+    // prepare all table body HTML for future (re-)rendering (the data rows may have been normalized already)
+    preRenderBody(normalized);
 
     // if table filtering is enabled in the global settings, set necessary behaviours
     if (yaml.specs.options.filter === true) {
@@ -459,18 +719,46 @@ function init(ymlData) {
         // register handler for the 'click' event on the 'Filter' button
         $("#filter-apply").addEventListener("click", filterRows);
 
-        // register handler for the 'keyup' event on the 'input' element to catch the Enter keypress and trigger filtering
-        $("#filter").addEventListener("keyup", event => {
+        // enable syntax highlighting and autocompletion in the filter input
+        // (its handler for the Enter key must come first, to accept the chosen suggestion rather than to filter)
+        setupFilterInput();
+
+        // register handler for the 'keydown' event on the 'input' element to catch the Enter keypress and trigger filtering
+        $("#filter").addEventListener("keydown", event => {
             if (event.key === "Enter") {
                 event.preventDefault();
                 $("#filter-apply").click();
             }
         });
 
+        // register handler for the 'input' event on the quick search box, the filtering is done as the user types
+        // (but only once the typing pauses for a moment), and if both search and filter are empty, it is cleared
+        // only the first pause adds the browser history entry, the next ones just update it until the box loses
+        // focus, so that the Back button does not go through every partial search string
+        let searchTimer;
+        let searchTyping = false;
+        $("#search").addEventListener("input", event => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => {
+                if ($("#search").value.trim() || $("#filter").value.trim()) {
+                    filterRows(event, searchTyping);
+                    searchTyping = true;
+                } else {
+                    clearFilter();
+                }
+            }, 300);
+        });
+        $("#search").addEventListener("blur", () => {
+            searchTyping = false;
+        });
+
         // register handler for the 'click' event on the 'Clear' button
         // removes 'input' field text and re-renders table body with no filters applied
         $("#filter-clear").addEventListener("click", clearFilter);
 
+        // enable the column filter row of the table header (if it is enabled in 'specs.yml')
+        setupColumnFilters();
+
         // register handler for the 'click' event on each table cell so that filters could be created easily with a mouse click
         $("#data-table tbody").addEventListener("click", createFilter);
 
@@ -492,16 +780,62 @@ function init(ymlData) {
 
         // show filtering controls
         $("#filter-block").removeAttribute("hidden");
+
+        // show the named filters (presets) from 'specs.yml' and those saved by the user
+        setupPresets();
+
+        // show the facet panel for the columns that have the 'facet' rule in 'specs.yml'
+        setupFacets();
     }
 
+    // enable collapsing of the groups of rows and (if it is enabled in the global settings) choosing the grouping columns
+    setupGrouping();
+
     // if data exporting is enabled in the global settings, show the button and enable behaviour
-    if (yaml.specs.options.export === true) {
+    // (the option can also be a list of allowed formats or an object, see 'specs.yml')
+    if (yaml.specs.options.export) {
+
+        // fill the format selector with the allowed formats (no need to show it if there is just one)
+        const formats = setupExport();
+        $("#export-format").innerHTML = formats.map(format =>
+            "<option value=\"" + format + "\">" + escapeHtml(exportFormats[format].title) + "</option>"
+        ).join("");
+        $("#export-format").hidden = (formats.length < 2);
+
+        // the aggregates (see 'aggregate' in 'specs.yml') can be exported, too, if there are any
+        $("#export-aggregates-label").hidden = !getFooter(yaml.specs.table, []);
+
         $("#export-block").removeAttribute("hidden");
-        $("#export-block button").addEventListener("click", exportData);
+        $("#export-block button").addEventListener("click", () => exportData($("#export-format").value, $("#export-aggregates").checked));
+    }
+
+    // in 'virtual' rendering mode, the table body needs to be partially redrawn while scrolling or resizing the page
+    if (yaml.specs.options.render === "virtual") {
+
+        // the redrawing is done no more than once per animation frame
+        let redrawPending = false;
+        const redraw = () => {
+            if (!redrawPending) {
+                redrawPending = true;
+                requestAnimationFrame(() => {
+                    redrawPending = false;
+                    renderWindow();
+                });
+            }
+        };
+
+        window.addEventListener("scroll", redraw, {passive: true});
+        window.addEventListener("resize", redraw, {passive: true});
+    }
+
+    // in 'paged' rendering mode, show the page navigation controls and enable their behaviour
+    if (yaml.specs.options.render === "paged") {
+        $$("#pager button").forEach(el => el.addEventListener("click", changePage));
+        $("#pager").removeAttribute("hidden");
     }
 
     // all data has been initialized, including the idea about its filtering/sorting state, so apply it now
-    applyState();
+    await applyState();
 
     // draw data table with all its initial state already applied
     renderBody();
@@ -600,7 +934,7 @@ function getYaml(key, file) {
 
 
 // handle view change (redraw the table header and the table body but don't reset the state)
-document.addEventListener("updateView", () => {
+document.addEventListener("updateView", async () => {
 
     // decide what columns need to be displayed
     setupView();
@@ -612,7 +946,7 @@ document.addEventListener("updateView", () => {
     preRenderBody();
 
     // all data has been initialized, including the idea about its filtering/sorting state, so apply it now
-    applyState();
+    await applyState();
 
     // draw data table with all its initial state already applied
     renderBody();
@@ -620,8 +954,9 @@ document.addEventListener("updateView", () => {
 }, false);
 
 
-// when navigation event has been detected, act as if page was loaded new
-window.addEventListener("popstate", () => {
+// when navigation event has been detected (or the whole new state is loaded, see loadState()),
+// act as if page was loaded new, i.e. re-apply the state from the URL
+async function reloadState() {
 
     // keep the idea of the current view (in case it should change)
     const oldView = state.view;
@@ -642,23 +977,32 @@ window.addEventListener("popstate", () => {
     } else {
 
         // restore filtering and sorting state of the data
-        applyState();
+        await applyState();
 
         // body can be rendered now
         renderBody();
     }
+}
 
-}, false);
+
+// the state changes when navigating the browser history or when some other state is loaded (see loadState())
+window.addEventListener("popstate", reloadState, false);
+document.addEventListener("loadState", reloadState);
 
 
 // fire custom event that should be implemented in 'data.js' and should populate 'yaml.files'
 document.dispatchEvent(new Event("initSrc"));
 
-// load all YAML resources (as defined in yaml.files) asynchronously
+// load 'specs.yml' first, as it may declare more YAML resources to be loaded (see 'source' in 'specs.yml'),
+// then load all YAML resources (as defined in yaml.files and in 'specs.yml') asynchronously
 // wait until all requests are done using Promise.all() technique
 // if all requests were successful, then call init(), otherwise call reportError()
-Promise.all([["specs", "specs.yml"], ...Object.entries(yaml.files)].map(f => getYaml(...f))).then(init, reportError);
+// (the files of the 'source' section remember their key there, as they may end up under a different one, see init())
+getYaml("specs", "specs.yml")
+    .then(specs => Promise.all([specs, ...Object.entries(yaml.files).map(f => getYaml(...f)),
+        ...getSourceFiles(specs.data || {}).map(f => getYaml(...f).then(file => ({...file, source: f[0]})))]))
+    .then(init, reportError);
 
 
 // the variables and functions shared between the modules
-export {state, yaml, data, display};
+export {state, yaml, data, display, addToFilter, renderBody};
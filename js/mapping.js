@@ -0,0 +1,129 @@
+// globally shared state and data objects plus some useful common shortcuts and functions
+import {yaml, data} from "./main.js";
+import {$hasProp, $typeOf} from "./common.js";
+
+
+// whether the path can go on from the value (only lists and maps can be walked through)
+const isContainer = (value) => ["Array", "Object"].includes($typeOf(value));
+
+// the keys the YAML files declared in the 'source' section of 'specs.yml' have been loaded under (see mapData())
+let sourceKeys = {};
+
+// the key of the 'yaml' object holding the file declared under the given key in the 'source' section of 'specs.yml'
+const loadedKey = (key) => $hasProp(sourceKeys, key) ? sourceKeys[key] : key;
+
+
+// splits the path into the list of its segments, the path is written in the JSONPath-like way:
+// the segments are separated with dots, list indexes (and keys containing dots) are in square brackets,
+// '*' is the wildcard segment, and the leading '$.' (meaning the root) is optional,
+// e.g. 'sites.*.hosts[0].name' or '$.sites["eu.west"].hosts[*]'
+function splitPath(path) {
+    return (String(path).replace(/^\$(\.|(?=\[))/, "").match(/\[(?:"[^"]*"|'[^']*'|[^\]]*)\]|[^.[\]]+/g) || [])
+        .map(segment => segment.replace(/^\[\s*(["']?)(.*)\1\s*\]$/, "$2"));
+}
+
+
+// finds all the items matching the path segments (see splitPath()), where the wildcard segments match
+// every item of a list or a map, so that the nested lists and maps can be flattened into a single list
+// returns the list of matches, each one being an object with the item found (.item), the items matched
+// by the wildcard segments (.items) and their keys, i.e. map keys or list indexes (.keys)
+function findItems(segments, match) {
+
+    if (!segments.length) {
+        return [match];
+    }
+
+    const [segment, ...rest] = segments;
+
+    if (segment === "*" && isContainer(match.item)) {
+        return Object.entries(match.item).flatMap(([key, item]) => findItems(rest, {
+            item:  item,
+            items: [...match.items, item],
+            keys:  [...match.keys, Array.isArray(match.item) ? Number(key) : key]
+        }));
+    }
+
+    if (isContainer(match.item) && $hasProp(match.item, segment)) {
+        return findItems(rest, {...match, item: match.item[segment]});
+    }
+
+    return [];
+}
+
+
+// returns the value found at the path segments (see splitPath()) within the given value, or 'undefined' if not found
+function followPath(value, segments) {
+    return segments.reduce((item, segment) => (isContainer(item) && $hasProp(item, segment)) ? item[segment] : undefined, value);
+}
+
+
+// returns the value found at the path (see splitPath()) within the given value, or 'undefined' if not found
+function getPath(value, path) {
+    return followPath(value, splitPath(path));
+}
+
+
+// returns the loaded YAML data found at the path (see splitPath()) starting with the key of the file, which is
+// the key from the 'source' section of 'specs.yml' even if the file has been loaded under another one (see mapData())
+function getSourcePath(path) {
+    const [first, ...rest] = splitPath(path);
+    return followPath(yaml, [loadedKey(first), ...rest]);
+}
+
+
+// returns the value of the column for the record found by findItems(), the column 'path' (see 'specs.yml') is
+// relative to the record, except for '$1', '$2'... meaning the items matched by the 1st, 2nd... wildcard of the
+// rows path (possibly followed by the path within that item) and '@1', '@2'... meaning their keys
+function getField(match, path) {
+
+    const [first, ...rest] = splitPath(path);
+
+    if (/^@\d+$/.test(first)) {
+        return match.keys[Number(first.substring(1)) - 1];
+    }
+
+    if (/^\$\d+$/.test(first)) {
+        return rest.reduce((item, segment) => (isContainer(item) && $hasProp(item, segment)) ? item[segment] : undefined,
+            match.items[Number(first.substring(1)) - 1]);
+    }
+
+    return getPath(match.item, path);
+}
+
+
+// returns the list of the YAML files declared in the 'source' section of 'specs.yml' (if any) as [key, file] pairs,
+// each source is either the file name or an object with the file name (.file) and the path to its records (.rows)
+function getSourceFiles(specs) {
+    return Object.entries(($typeOf(specs.source) === "Object") ? specs.source : {})
+        .map(([key, source]) => [key, ($typeOf(source) === "Object") ? source.file : source])
+        .filter(([, file]) => $typeOf(file) === "String");
+}
+
+
+// fills the 'data' array with the records found in the loaded YAML files at the paths declared in the 'source'
+// section of 'specs.yml' (see findItems()), taking the value of each column from the record at the column 'path'
+// (see getField()) or, if the column has no path, from the record field named the same as the column key
+// (the computed columns are left out, see 'compute' in 'specs.yml'), the files are looked up in the 'yaml' object
+// under the keys they have been loaded with, which differ from the keys in 'source' if those were already taken
+// (e.g. 'specs' or the key of a file listed in 'yaml.files' by 'data.js'), given as the map of the former to the latter
+function mapData(loadedKeys = {}) {
+
+    sourceKeys = loadedKeys;
+
+    const sources = ($typeOf(yaml.specs.source) === "Object") ? yaml.specs.source : {};
+    const columns = yaml.specs.table.filter(column => !$hasProp(column, "compute"));
+
+    Object.entries(sources)
+        .filter(([, source]) => $typeOf(source) === "Object" && $hasProp(source, "rows"))
+        .forEach(([key, source]) => {
+            findItems(splitPath(source.rows), {item: yaml[loadedKey(key)], items: [], keys: []}).forEach(match => {
+                data.push(Object.fromEntries(columns.map(column =>
+                    [column.key, getField(match, $hasProp(column, "path") ? column.path : column.key)]
+                )));
+            });
+        });
+}
+
+
+// this module provides the declarative mapping of the loaded YAML data onto the table rows
+export {getPath, getSourcePath, getSourceFiles, mapData};
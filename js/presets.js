@@ -0,0 +1,283 @@
+// globally shared state and data objects plus some useful common shortcuts and functions
+import {state, yaml} from "./main.js";
+import {$, $hasProp, $typeOf, saveState, loadState} from "./common.js";
+import {setFilterError} from "./filterinput.js";
+
+
+// the key under which the user's own presets are kept in the browser's localStorage (one set per page)
+const storageKey = "y2t-presets:" + window.location.pathname;
+
+// the prefix of the user's own preset IDs (so that they never clash with the presets from 'specs.yml')
+const userPrefix = "~";
+
+// a "spare" link element (never part of displayed contents) used as a helper to fake file download link
+const $downloadHelper = document.createElement("a");
+
+
+// checks the preset definition (from 'specs.yml' or from the user) and returns its normalized copy
+// or 'undefined' if it does not look like a preset at all (it needs at least a filter, a quick search or a sort key)
+function normalizePreset(preset, id) {
+
+    if ($typeOf(preset) !== "Object" || !["filter", "search", "sort"].some(key => $typeOf(preset[key]) === "String")) {
+        return undefined;
+    }
+
+    // only the known properties are taken, and only if they are strings (as they go to the 'state' as they are)
+    const normalized = {title: $typeOf(preset.title) === "String" && preset.title ? preset.title : String(id)};
+    ["filter", "search", "sort", "order", "view"].forEach(key => {
+        if ($typeOf(preset[key]) === "String" && preset[key]) {
+            normalized[key] = preset[key];
+        }
+    });
+
+    return normalized;
+}
+
+
+// returns the user's own presets from localStorage (an object with preset titles as keys)
+function getUserPresets() {
+    try {
+        const presets = JSON.parse(localStorage.getItem(storageKey) || "{}");
+        return ($typeOf(presets) === "Object") ? presets : {};
+    } catch (e) {
+        return {};
+    }
+}
+
+
+// stores the user's own presets in localStorage
+function setUserPresets(presets) {
+    try {
+        localStorage.setItem(storageKey, JSON.stringify(presets));
+    } catch (e) {
+        setFilterError({message: "Cannot save the filters in this browser: " + e.message});
+    }
+}
+
+
+// returns all known presets: those from 'specs.yml' followed by the user's own ones (with their IDs prefixed)
+function getPresets() {
+
+    const presets = {};
+
+    Object.entries(yaml.specs.presets || {}).forEach(([id, preset]) => {
+        presets[id] = normalizePreset(preset, id);
+    });
+
+    Object.entries(getUserPresets()).forEach(([id, preset]) => {
+        presets[userPrefix + id] = normalizePreset(preset, id);
+    });
+
+    // drop the entries that are not presets
+    Object.keys(presets).filter(id => !presets[id]).forEach(id => delete presets[id]);
+
+    return presets;
+}
+
+
+// creates the button of the preset chip (the preset ID, title and filter may come from an imported file,
+// so they are set as the properties of the element, never as a part of the HTML code)
+function presetButton(cssClass, id, title, text) {
+
+    const $button = document.createElement("button");
+
+    $button.className = cssClass;
+    $button.dataset.preset = id;
+    $button.title = title;
+    $button.textContent = text;
+
+    return $button;
+}
+
+
+// draws the preset chips, the chip of the active preset (see 'state.preset') is pressed
+function renderPresets() {
+
+    const presets = getPresets();
+
+    $("#preset-chips").replaceChildren(...Object.entries(presets).map(([id, preset]) => {
+
+        const $chip = document.createElement("span");
+        const $toggle = presetButton("preset-toggle", id, [preset.filter, preset.search].filter(text => text).join("\n"), preset.title);
+
+        $toggle.setAttribute("aria-pressed", String(state.preset === id));
+
+        $chip.className = "preset" + (id.startsWith(userPrefix) ? " user" : "");
+        $chip.append($toggle);
+
+        if (id.startsWith(userPrefix)) {
+            $chip.append(presetButton("preset-delete", id, "Delete", "\u00d7"));
+        }
+
+        return $chip;
+    }));
+
+    // nothing to export if the user has no presets of their own
+    $("#preset-export").disabled = !Object.keys(getUserPresets()).length;
+}
+
+
+// switches the given preset on (replacing the current filter, quick search, sorting and possibly view with those of the preset)
+// or off, if it is already active (removing the filter and sorting)
+function togglePreset(id) {
+
+    const preset = getPresets()[id];
+
+    if (!preset) {
+        return;
+    }
+
+    if (state.preset === id) {
+        loadState({preset: undefined, filter: undefined, search: undefined, sort: undefined, order: undefined, page: undefined});
+    } else {
+        loadState({
+            preset: id,
+            filter: preset.filter,
+            search: preset.search,
+            sort:   preset.sort,
+            order:  preset.order,
+            view:   preset.view || state.view,
+            page:   undefined
+        });
+    }
+}
+
+
+// saves the current filter, quick search, sorting and view as the user's own preset under the name given by the user
+function savePreset() {
+
+    if (!state.filter && !state.search && !state.sort) {
+        setFilterError({message: "There is no filter, search or sorting to save"});
+        return;
+    }
+
+    const title = (window.prompt("Name of the filter:") || "").trim();
+
+    if (!title) {
+        return;
+    }
+
+    const presets = getUserPresets();
+    presets[title] = normalizePreset({
+        title:  title,
+        filter: state.filter,
+        search: state.search,
+        sort:   state.sort,
+        order:  state.order,
+        view:   state.view
+    }, title);
+    setUserPresets(presets);
+
+    // the saved preset becomes the active one
+    saveState({preset: userPrefix + title});
+    renderPresets();
+}
+
+
+// removes the user's own preset (it stays applied, if it was the active one, but it is no longer 'active')
+function deletePreset(id) {
+
+    const presets = getUserPresets();
+    delete presets[id.substring(userPrefix.length)];
+    setUserPresets(presets);
+
+    if (state.preset === id) {
+        saveState({preset: undefined});
+    }
+    renderPresets();
+}
+
+
+// downloads the user's own presets as a YAML file (in the same format as 'presets' in 'specs.yml',
+// so the file can either be imported in another browser or pasted into 'specs.yml' to share the presets)
+function exportPresets() {
+
+    // eslint-disable-next-line no-undef
+    const yamlText = jsyaml.safeDump({presets: getUserPresets()}, {skipInvalid: true});
+
+    const url = URL.createObjectURL(new Blob([yamlText], {type: "application/x-yaml;charset=utf-8"}));
+    $downloadHelper.href = url;
+    $downloadHelper.download = "filters.yml";
+    $downloadHelper.dispatchEvent(new MouseEvent("click", {bubbles: true, cancelable: true}));
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+
+// adds the presets from the YAML file chosen by the user to the user's own presets
+// (the presets with the same names are replaced), the file format is the same as produced by exportPresets()
+function importPresets(event) {
+
+    const file = event.target.files[0];
+    const reader = new FileReader();
+
+    if (!file) {
+        return;
+    }
+
+    reader.onload = () => {
+
+        let imported;
+
+        try {
+            // eslint-disable-next-line no-undef
+            imported = jsyaml.safeLoad(reader.result);
+        } catch (e) {
+            setFilterError({message: "Cannot import the filters: " + e.message});
+            return;
+        }
+
+        // both the complete file with the 'presets' key and just the presets themselves are accepted
+        if ($typeOf(imported) === "Object" && $hasProp(imported, "presets")) {
+            imported = imported.presets;
+        }
+
+        const presets = getUserPresets();
+        const entries = Object.entries($typeOf(imported) === "Object" ? imported : {})
+            .map(([id, preset]) => [id, normalizePreset(preset, id)])
+            .filter(([, preset]) => preset);
+
+        if (!entries.length) {
+            setFilterError({message: "Cannot import the filters: no filters found in " + file.name});
+            return;
+        }
+
+        entries.forEach(([id, preset]) => {presets[id] = preset;});
+        setUserPresets(presets);
+        renderPresets();
+    };
+
+    reader.readAsText(file);
+
+    // the same file can be imported again
+    event.target.value = "";
+}
+
+
+// shows the preset chips and enables their behaviour
+function setupPresets() {
+
+    $("#preset-chips").addEventListener("click", event => {
+        const $button = event.target.closest("button");
+        if ($button && $button.classList.contains("preset-toggle")) {
+            togglePreset($button.dataset.preset);
+        } else if ($button && $button.classList.contains("preset-delete")) {
+            deletePreset($button.dataset.preset);
+        }
+    });
+
+    $("#preset-save").addEventListener("click", savePreset);
+    $("#preset-export").addEventListener("click", exportPresets);
+    $("#preset-import").addEventListener("change", importPresets);
+    $("#preset-import-button").addEventListener("click", () => $("#preset-import").click());
+
+    // the active preset may change whenever the state is applied (e.g. while navigating the history)
+    document.addEventListener("applyState", renderPresets);
+
+    renderPresets();
+    $("#presets").removeAttribute("hidden");
+}
+
+
+// this module provides the named filter presets
+export {setupPresets, renderPresets};
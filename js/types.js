@@ -0,0 +1,1419 @@
+// globally shared state and data objects plus some useful common shortcuts and functions
+import {yaml, data} from "./main.js";
+import {$hasProp, $typeOf, escapeHtml, html2text, value2array, cidr2long, ip2range, version2hash, formatDate} from "./common.js";
+
+
+// the known data types by their names (see registerType()), the built-in ones are registered at the end of this module
+const types = {};
+
+// the comparison operators whose 2nd operand is the range of values (see 'parseFilterValue' in registerType())
+const rangeOperators = ["<", ">", "<=", ">=", "BETWEEN"];
+
+// the comparison operators whose 2nd operand is matched against the .match representation of the value
+const matchOperators = ["==", "=", "!="];
+
+// the words understood as the boolean values (uppercase), both in the data and in the filter expressions
+const boolWords = {true: ["TRUE", "YES", "ON", "1"], false: ["FALSE", "NO", "OFF", "0"], unknown: ["", "UNKNOWN", "NULL"]};
+
+// the values of the 'bool' data type, the unknown value is represented by 'null'
+const boolStates = {true: true, false: false, unknown: null};
+
+// the default labels displayed for the boolean values (see 'labels' in 'specs.yml')
+const boolLabels = {true: "true", false: "false", unknown: ""};
+
+// the sizes of the units of the 'bytes' data type (uppercase), both decimal (kB, MB...) and binary (KiB, MiB...) ones,
+// the single letters (K, M...) mean the decimal units and the number without a unit means bytes
+const byteUnits = Object.fromEntries([["", 1], ["B", 1], ...["K", "M", "G", "T", "P"].flatMap((prefix, idx) => [
+    [prefix, 1000 ** (idx + 1)], [prefix + "B", 1000 ** (idx + 1)], [prefix + "IB", 1024 ** (idx + 1)]
+])]);
+
+// the units the 'bytes' values are displayed in by default (see 'units' in 'specs.yml'), the largest ones first
+const byteDisplay = {
+    decimal: ["PB", "TB", "GB", "MB", "kB", "B"],
+    binary:  ["PiB", "TiB", "GiB", "MiB", "KiB", "B"]
+};
+
+// the lengths of the units of the 'duration' data type in seconds, the largest ones first
+const durationUnits = {w: 604800, d: 86400, h: 3600, m: 60, s: 1, ms: 0.001};
+
+// the URL schemes that are safe to be turned into links (anything else, like 'javascript:', is a bad value)
+const safeProtocols = ["http:", "https:", "ftp:"];
+
+
+// extracts the MAC address (48 bits) or its prefix (e.g. the 24-bit OUI) from a string in any of the usual notations:
+// '00:1a:2b:3c:4d:5e', '00-1A-2B-3C-4D-5E', '001a.2b3c.4d5e' or just '001a2b3c4d5e' (prefixes are the shorter ones)
+// returns an object {min: ..., max: ...} with the range of addresses (Numbers) or 'undefined' if it is not an address
+function mac2range(str) {
+
+    const mac = String(str).trim();
+
+    if (!mac.match(/^[0-9a-f]{2}(?:([:-])[0-9a-f]{2}(?:\1[0-9a-f]{2}){0,4})?$/i) &&
+            !mac.match(/^[0-9a-f]{4}(?:\.[0-9a-f]{4}){0,2}$/i) && !mac.match(/^(?:[0-9a-f]{2}){1,6}$/i)) {
+        return undefined;
+    }
+
+    const hex = mac.replace(/[:.-]/g, "");
+    const size = 2 ** (48 - hex.length * 4);
+
+    return {min: parseInt(hex, 16) * size, max: (parseInt(hex, 16) + 1) * size - 1};
+}
+
+
+// formats the MAC address (Number) as six pairs of hexadecimal digits separated with colons
+function formatMac(num) {
+    return num.toString(16).padStart(12, "0").match(/../g).join(":");
+}
+
+
+// checks whether the string is a valid host name or a fully qualified domain name (with an optional trailing dot)
+function isHostname(str) {
+    const name = String(str).trim().replace(/\.$/, "");
+    return name.length > 0 && name.length <= 253 && name.split(".").every(label => label.match(/^[a-z0-9_](?:[a-z0-9_-]{0,61}[a-z0-9_])?$/i));
+}
+
+
+// converts the string holding the value of the 'mac', 'hostname', 'url' or 'email' data type into the object with
+// its .html, .cmp and .match representations (see normalizeValue()), or 'undefined' if the value is malformed
+function parseAddress(str, type) {
+
+    const value = str.trim();
+
+    if (type === "mac") {
+        const range = mac2range(value);
+        return (range && range.min === range.max)
+            ? {html: formatMac(range.min), cmpMin: range.min, cmpMax: range.max, match: formatMac(range.min).toUpperCase()}
+            : undefined;
+
+    // the host names are sorted by their labels in the reverse order (domain first), so the hosts in the same domain
+    // are sorted together (the labels are joined by spaces that go before any character allowed in the labels)
+    } else if (type === "hostname") {
+        const name = value.toLowerCase().replace(/\.$/, "");
+        return isHostname(value)
+            ? {html: escapeHtml(name), cmp: name.toUpperCase().split(".").reverse().join(" "), match: name.toUpperCase()}
+            : undefined;
+
+    // only the absolute URLs with one of the safe schemes become links (the address is already encoded by URL())
+    } else if (type === "url") {
+        let url;
+        try {
+            url = new URL(value);
+        } catch (e) {
+            return undefined;
+        }
+        return safeProtocols.includes(url.protocol)
+            ? {
+                html:  "<a href=\"" + url.href.replace(/"/g, "%22") + "\" target=\"_blank\" rel=\"noopener noreferrer\">" + escapeHtml(value) + "</a>",
+                cmp:   value.toUpperCase(),
+                match: value.toUpperCase()
+            }
+            : undefined;
+
+    } else if (type === "email") {
+        const parts = value.match(/^([^\s@"<>()[\],;:\\]+)@([^@]+)$/);
+        return (parts && isHostname(parts[2]) && !parts[2].endsWith("."))
+            ? {html: "<a href=\"mailto:" + escapeHtml(value) + "\">" + escapeHtml(value) + "</a>", cmp: value.toUpperCase(), match: value.toUpperCase()}
+            : undefined;
+    }
+
+    return undefined;
+}
+
+
+// formats the number for display with the number of decimal places set for the column (see 'precision' in
+// 'specs.yml') rounded the way set for the column (see 'rounding'), or as it is if there is no precision set
+function formatFloat(num, column) {
+
+    if (!Number.isInteger(column.precision) || column.precision < 0) {
+        return String(num);
+    }
+
+    const factor = 10 ** column.precision;
+    const rounding = ["floor", "ceil", "trunc"].includes(column.rounding) ? column.rounding : "round";
+
+    return (Math[rounding](num * factor) / factor).toFixed(column.precision);
+}
+
+
+// converts the value into the number of bytes, the strings are numbers followed by an optional unit (see byteUnits{}),
+// like '1.5GB' or '512 MiB', returns 'undefined' if the value is not a size
+function parseBytes(value) {
+
+    if ($typeOf(value) === "Number") {
+        return (Number.isFinite(value) && value >= 0) ? value : undefined;
+    } else if ($typeOf(value) !== "String") {
+        return undefined;
+    }
+
+    const parts = value.trim().match(/^(\d+(?:\.\d+)?|\.\d+)\s*([a-z]*)$/i);
+
+    return (parts && $hasProp(byteUnits, parts[2].toUpperCase())) ? Math.round(Number(parts[1]) * byteUnits[parts[2].toUpperCase()]) : undefined;
+}
+
+
+// converts the value into the number of seconds, the strings are numbers each followed by a unit (see durationUnits{}),
+// like '90s', '2h30m' or '1d 12h', a number without a unit means seconds, returns 'undefined' if the value is not a duration
+function parseDuration(value) {
+
+    if ($typeOf(value) === "Number") {
+        return (Number.isFinite(value) && value >= 0) ? value : undefined;
+    } else if ($typeOf(value) !== "String") {
+        return undefined;
+    }
+
+    const str = value.trim();
+
+    if (str !== "" && !isNaN(str)) {
+        return Number(str);
+    } else if (!str.match(/^(?:(?:\d+(?:\.\d+)?|\.\d+)\s*(?:ms|[wdhms])\s*)+$/i)) {
+        return undefined;
+    }
+
+    return Array.from(str.matchAll(/(\d+(?:\.\d+)?|\.\d+)\s*(ms|[wdhms])/gi))
+        .reduce((sum, part) => sum + Number(part[1]) * durationUnits[part[2].toLowerCase()], 0);
+}
+
+
+// formats the number of bytes or seconds (for 'bytes' and 'duration' data types) for display in the units set for
+// the column (see 'units' in 'specs.yml'): either in the largest unit fitting the value (decimal or binary one for
+// sizes), in the given unit or, for durations, in all the units needed (like '2h 30m'), the numbers are displayed
+// with the precision and the rounding set for the column or with one decimal place at most if there is no precision set
+function formatUnits(num, column) {
+
+    const units = (column.type === "bytes") ? byteUnits : durationUnits;
+    const unit = Object.keys(units).find(key => key.toUpperCase() === String(column.units).toUpperCase() && key !== "");
+
+    const scaled = (size, name) => {
+        const text = formatFloat(num / size, Number.isInteger(column.precision) ? column : {precision: 1});
+        return (Number.isInteger(column.precision) ? text : String(Number(text))) + (column.type === "bytes" ? " " : "") + name;
+    };
+
+    // a single unit is set for the column (written the same way as in the column settings)
+    if (unit) {
+        return scaled(units[unit], column.units);
+
+    // sizes are displayed in the largest unit that is not larger than the value
+    } else if (column.type === "bytes") {
+        const names = byteDisplay[column.units] || byteDisplay.decimal;
+        const name = names.find(key => units[key.toUpperCase()] <= num) || "B";
+        return scaled(units[name.toUpperCase()], name);
+    }
+
+    // durations are split into whole days, hours, minutes, seconds and milliseconds (weeks are only used if set)
+    let rest = Math.round(num * 1000);
+
+    const parts = Object.keys(durationUnits).filter(key => key !== "w").map(key => {
+        const count = Math.floor(rest / (durationUnits[key] * 1000));
+        rest -= count * durationUnits[key] * 1000;
+        return count ? count + key : "";
+    }).filter(part => part);
+
+    return parts.length ? parts.join(" ") : "0s";
+}
+
+
+// returns the labels (HTML) displayed for the boolean values of the column, see 'labels' in 'specs.yml'
+function getBoolLabels(column) {
+
+    const labels = {...boolLabels};
+
+    if ($typeOf(column.labels) === "Object") {
+        Object.keys(labels).filter(state => $typeOf(column.labels[state]) === "String").forEach(state => {
+            labels[state] = column.labels[state];
+        });
+    }
+
+    return labels;
+}
+
+
+// converts the value into the boolean value: true, false or null (unknown), or 'undefined' if it is not one,
+// the strings and numbers may be any of the words in boolWords{} or the text of the column labels
+function parseBool(value, column) {
+
+    if ($typeOf(value) === "Boolean") {
+        return value;
+    } else if (value === null || value === undefined) {
+        return null;
+    } else if ($typeOf(value) !== "String" && $typeOf(value) !== "Number") {
+        return undefined;
+    }
+
+    const upper = String(value).trim().toUpperCase();
+    const labels = getBoolLabels(column);
+    const state = Object.keys(boolStates).find(key => boolWords[key].includes(upper) || html2text(labels[key]).trim().toUpperCase() === upper);
+
+    return state ? boolStates[state] : undefined;
+}
+
+
+// returns the list of the allowed values of the 'enum' column in their order (see 'values' in 'specs.yml'),
+// each one being an object with the value (.value) and optional label (.label), CSS class (.cssClass) and colour (.color)
+function getEnumValues(column) {
+    return (Array.isArray(column.values) ? column.values : [])
+        .map(item => ($typeOf(item) === "Object") ? item : {value: item})
+        .filter(item => ["String", "Number"].includes($typeOf(item.value)));
+}
+
+
+// finds the allowed value of the 'enum' column (see getEnumValues()) that is the same as the given value or
+// its label (both case insensitive), returns its index in the list of allowed values or -1 if it is not there
+function findEnumValue(value, column) {
+
+    const upper = String(value).trim().toUpperCase();
+
+    return getEnumValues(column).findIndex(item => String(item.value).toUpperCase() === upper ||
+        ($typeOf(item.label) === "String" && html2text(item.label).trim().toUpperCase() === upper));
+}
+
+
+// converts the date from the filter expression into the range of Unix Time values (in milliseconds)
+// the date can be given as:
+//   1) 'YYYY-MM-DD' string meaning the whole day (UTC)
+//   2) ISO 8601 timestamp with time and optional time zone (UTC if not given), e.g. '2019-12-29T18:00+01:00'
+//   3) relative expression: 'now', 'today', 'yesterday', 'tomorrow', 'this_week', 'last_week', 'this_month'
+//      or 'last_month' (the days, weeks and months being the whole periods in UTC, weeks start on Monday)
+//      optionally followed by an offset like '-30d' or '+6h' (units are s, m, h, d and w),
+//      the offset can also be used on its own, in which case it is relative to 'now'
+// the relative expressions are resolved against the given 'now' time, and since the filter is checked
+// every time it is applied (including the saved URL state), they are never 'frozen' in the filter
+// returns an object {min: ..., max: ...} or an error message String if the value is not a valid date
+function date2range(value, now) {
+
+    const str = String(value);
+
+    // full date (with optional time and zone) and relative expression (with anchor and/or offset)
+    const absolute = str.match(/^(\d{4}-\d{2}-\d{2})(T\d{2}:\d{2}(?::\d{2}(?:\.\d{1,3})?)?(?:Z|[+-]\d{2}:\d{2})?)?$/i);
+    const relative = str.match(/^(now|today|yesterday|tomorrow|this_week|last_week|this_month|last_month)?(?:([+-]\d+)([smhdw]))?$/i);
+
+    // units of relative offsets in milliseconds
+    const units = {s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000};
+
+    let min, max;
+
+    if (absolute) {
+
+        // a date without time is the whole day, a timestamp without zone is assumed to be in UTC
+        if (absolute[2]) {
+            min = max = new Date(str.toUpperCase() + (absolute[2].match(/(Z|[+-]\d{2}:\d{2})$/i) ? "" : "Z")).getTime();
+        } else {
+            min = new Date(str + "T00:00:00Z").getTime();
+            max = min + units.d - 1;
+        }
+
+        // JavaScript happily rolls over days like February 30, which is not what the user meant
+        if (isNaN(min) || (!absolute[2] && new Date(min).toISOString().slice(0, 10) !== absolute[1])) {
+            return "Unsupported date: " + str;
+        }
+
+    } else if (relative && (relative[1] || relative[2])) {
+
+        // midnight (UTC) of the current day and the day of the week (0 is Monday)
+        const day = now - now % units.d;
+        const weekday = (new Date(day).getUTCDay() + 6) % 7;
+
+        // the first day of the current month and of the previous month
+        const month = new Date(day).setUTCDate(1);
+        const prevMonth = new Date(month).setUTCMonth(new Date(month).getUTCMonth() - 1);
+
+        // the ranges corresponding to each of the named anchors
+        const anchors = {
+            now:        [now, now],
+            today:      [day, day + units.d - 1],
+            yesterday:  [day - units.d, day - 1],
+            tomorrow:   [day + units.d, day + 2 * units.d - 1],
+            this_week:  [day - weekday * units.d, day + (7 - weekday) * units.d - 1],
+            last_week:  [day - (weekday + 7) * units.d, day - weekday * units.d - 1],
+            this_month: [month, new Date(month).setUTCMonth(new Date(month).getUTCMonth() + 1) - 1],
+            last_month: [prevMonth, month - 1]
+        };
+
+        // the offset (if any) moves the whole range
+        const offset = relative[2] ? parseInt(relative[2]) * units[relative[3].toLowerCase()] : 0;
+
+        [min, max] = anchors[(relative[1] || "now").toLowerCase()].map(time => time + offset);
+
+    } else {
+        return "Bad date format (use YYYY-MM-DD, ISO 8601 timestamp or relative date like today or -30d): " + str;
+    }
+
+    return {min: min, max: max};
+}
+
+
+// the text columns are compared alphabetically, which is not what is meant if the value is a number
+function warnTextOrder(column, value, token) {
+    return String(value).match(/^\s*-?\d+(\.\d+)?(\s+AND\s+-?\d+(\.\d+)?)?\s*$/i)
+        ? column.key + " is a text column, so " + token + " compares the values alphabetically (\"10\" < \"9\")"
+        : "";
+}
+
+
+// the regular expression is applied to the text of a number, which rarely makes sense
+function warnRegexNumber(column, value, token) {
+    return column.key + " is a number column, so " + token + " matches the text of the numbers, consider using < > or BETWEEN";
+}
+
+
+// the dates displayed in the custom format (see 'dateFormat' in 'specs.yml') can only be matched in that format
+function warnDateFormat(column, value, token) {
+    const dateFormat = column.dateFormat || yaml.specs.options.dateFormat;
+    return (window.moment && dateFormat && String(value).match(/\d{4}-\d{2}-\d{2}/))
+        ? column.key + " is displayed as " + dateFormat + ", so " + token + " never matches a YYYY-MM-DD date, use BETWEEN or >= and <= instead"
+        : "";
+}
+
+
+// the sizes and durations are matched as they are displayed, i.e. rounded (see formatUnits()), so the value
+// also matches the different ones that look the same (e.g. '= 1GB' matches 1.04 GB displayed as '1 GB'),
+// which is only worth the warning if there are such values in the column
+function warnRoundedUnits(column, value, token) {
+
+    const num = (column.type === "bytes") ? parseBytes(value) : parseDuration(value);
+
+    if (num === undefined) {
+        return "";
+    }
+
+    const text = formatUnits(num, column);
+    const rounded = data
+        .flatMap(row => ($typeOf(row[column.key]) === "Object") ? row[column.key].items || [row[column.key]] : [])
+        .some(cell => cell.match === text.toUpperCase() && cell.cmp !== num);
+
+    return rounded
+        ? column.key + " is displayed rounded, so " + token + " also matches the values other than " + value + " displayed as " + text + ", use BETWEEN for the exact values"
+        : "";
+}
+
+
+// normalizes the cell of the 'int' data type (see normalizeValue() below)
+function normalizeInt(cell) {
+
+    // check if the actually supplied value is true 'numeric'
+    if (cell.type === "Number" && !isNaN(cell.value)) {
+
+        if (!$hasProp(cell, "html") || $typeOf(cell.html) !== "String") {
+            cell.html = cell.value.toString();
+        }
+
+        if (!$hasProp(cell, "cmp") || $typeOf(cell.cmp) !== "Number" || isNaN(cell.cmp)) {
+            cell.cmp = cell.value;
+        }
+
+        if (!$hasProp(cell, "match") || $typeOf(cell.match) !== "String") {
+            cell.match = cell.value.toString().toUpperCase();
+        }
+
+    // last chance for a string to become a number
+    } else if (cell.type === "String") {
+
+        if (!isNaN(cell.value)) {
+            cell.html = parseInt(cell.value).toString();
+            cell.cmp = parseInt(cell.value);
+            cell.match = cell.cmp;
+        } else {
+            cell.html = escapeHtml(cell.value);
+            cell.cmp = Number.NEGATIVE_INFINITY;
+            cell.match = html2text(cell.html).toUpperCase();
+            cell.cssClass.push("bad-value");
+        }
+
+    // the value is 'bad' (non-scalar type, null, undefined, etc.)
+    } else {
+        cell.html = undefined;
+        cell.cmp = Number.NEGATIVE_INFINITY;
+        cell.match = undefined;
+    }
+}
+
+
+// normalizes the cell of the 'float' data type
+function normalizeFloat(cell, column) {
+
+    // both the numbers and the strings holding valid numbers are accepted
+    if ((cell.type === "Number" && !isNaN(cell.value)) || (cell.type === "String" && cell.value.trim() !== "" && !isNaN(cell.value))) {
+
+        if (!$hasProp(cell, "html") || $typeOf(cell.html) !== "String") {
+            cell.html = formatFloat(Number(cell.value), column);
+        }
+
+        if (!$hasProp(cell, "cmp") || $typeOf(cell.cmp) !== "Number" || isNaN(cell.cmp)) {
+            cell.cmp = Number(cell.value);
+        }
+
+        if (!$hasProp(cell, "match") || $typeOf(cell.match) !== "String") {
+            cell.match = html2text(cell.html).toUpperCase();
+        }
+
+    // the string does not look like a number
+    } else if (cell.type === "String") {
+        cell.html = escapeHtml(cell.value);
+        cell.cmp = Number.NEGATIVE_INFINITY;
+        cell.match = html2text(cell.html).toUpperCase();
+        cell.cssClass.push("bad-value");
+
+    // the value is 'bad' (non-scalar type, null, undefined, etc.)
+    } else {
+        cell.html = undefined;
+        cell.cmp = Number.NEGATIVE_INFINITY;
+        cell.match = undefined;
+    }
+}
+
+
+// normalizes the cell of the 'bool' data type
+function normalizeBool(cell, column) {
+
+    const bool = parseBool(cell.value, column);
+    const state = Object.keys(boolStates).find(key => boolStates[key] === bool);
+
+    // the value is true, false or unknown
+    if (state) {
+
+        if (!$hasProp(cell, "html") || $typeOf(cell.html) !== "String") {
+            cell.html = getBoolLabels(column)[state];
+        }
+
+        if (!$hasProp(cell, "cmp") || $typeOf(cell.cmp) !== "Number" || isNaN(cell.cmp)) {
+            cell.cmp = (bool === null) ? -1 : Number(bool);
+        }
+
+        if (!$hasProp(cell, "match") || $typeOf(cell.match) !== "String") {
+            cell.match = (bool === null) ? "" : String(bool).toUpperCase();
+        }
+
+    // the string does not look like a boolean value
+    } else if (cell.type === "String") {
+        cell.html = escapeHtml(cell.value);
+        cell.cmp = -1;
+        cell.match = html2text(cell.html).toUpperCase();
+        cell.cssClass.push("bad-value");
+
+    // the value is 'bad' (non-scalar type, etc.)
+    } else {
+        cell.html = undefined;
+        cell.cmp = -1;
+        cell.match = undefined;
+    }
+}
+
+
+// normalizes the cell of the 'bytes' and 'duration' data types (both are numbers with units)
+function normalizeUnits(cell, column) {
+
+    const num = (column.type === "bytes") ? parseBytes(cell.value) : parseDuration(cell.value);
+
+    // the value is a number or a string with a valid number (and units)
+    if (num !== undefined) {
+
+        if (!$hasProp(cell, "html") || $typeOf(cell.html) !== "String") {
+            cell.html = escapeHtml(formatUnits(num, column));
+        }
+
+        if (!$hasProp(cell, "cmp") || $typeOf(cell.cmp) !== "Number" || isNaN(cell.cmp)) {
+            cell.cmp = num;
+        }
+
+        if (!$hasProp(cell, "match") || $typeOf(cell.match) !== "String") {
+            cell.match = html2text(cell.html).toUpperCase();
+        }
+
+    // the string does not look like a size / duration
+    } else if (cell.type === "String") {
+        cell.html = escapeHtml(cell.value);
+        cell.cmp = Number.NEGATIVE_INFINITY;
+        cell.match = html2text(cell.html).toUpperCase();
+        cell.cssClass.push("bad-value");
+
+    // the value is 'bad' (non-scalar type, null, undefined, etc.)
+    } else {
+        cell.html = undefined;
+        cell.cmp = Number.NEGATIVE_INFINITY;
+        cell.match = undefined;
+    }
+}
+
+
+// normalizes the cell of the 'mac', 'hostname', 'url' and 'email' data types (all of them are strings in a certain format)
+// (the MAC addresses are compared as the ranges of one address, like 'ip' ones, see parseAddress())
+function normalizeAddress(cell, column) {
+
+    // (the MAC addresses are compared by .cmpMin and .cmpMax only, even if .cmp was supplied)
+    if (column.type === "mac") {
+        delete cell.cmp;
+        delete cell.mask;
+    }
+
+    const address = (cell.type === "String") ? parseAddress(cell.value, column.type) : undefined;
+    const cmpKeys = (column.type === "mac") ? ["cmpMin", "cmpMax"] : ["cmp"];
+
+    // the string is well-formed
+    if (address) {
+
+        if (!$hasProp(cell, "html") || $typeOf(cell.html) !== "String") {
+            cell.html = address.html;
+        }
+
+        cmpKeys.filter(key => !$hasProp(cell, key) || $typeOf(cell[key]) !== $typeOf(address[key])).forEach(key => {
+            cell[key] = address[key];
+        });
+
+        if (!$hasProp(cell, "match") || $typeOf(cell.match) !== "String") {
+            cell.match = address.match;
+        }
+
+    // the string is malformed
+    } else if (cell.type === "String") {
+        cell.html = escapeHtml(cell.value);
+        cmpKeys.forEach(key => {
+            cell[key] = (column.type === "mac") ? Number.NEGATIVE_INFINITY : "";
+        });
+        cell.match = html2text(cell.html).toUpperCase();
+        cell.cssClass.push("bad-value");
+
+    // the value is 'bad' (non-scalar type, null, undefined, etc.)
+    } else {
+        cell.html = undefined;
+        cmpKeys.forEach(key => {
+            cell[key] = (column.type === "mac") ? Number.NEGATIVE_INFINITY : "";
+        });
+        cell.match = undefined;
+    }
+}
+
+
+// normalizes the cell of the 'enum' data type
+function normalizeEnum(cell, column) {
+
+    const idx = (cell.type === "String" || cell.type === "Number") ? findEnumValue(cell.value, column) : -1;
+
+    // the value is one of the allowed values (or their labels)
+    if (idx > -1) {
+
+        const item = getEnumValues(column)[idx];
+
+        if (!$hasProp(cell, "html") || $typeOf(cell.html) !== "String") {
+            cell.html = ($typeOf(item.label) === "String") ? item.label : escapeHtml(String(item.value));
+            if ($typeOf(item.color) === "String") {
+                cell.html = "<span style=\"color: " + escapeHtml(item.color) + "\">" + cell.html + "</span>";
+            }
+        }
+
+        if (!$hasProp(cell, "cmp") || $typeOf(cell.cmp) !== "Number" || isNaN(cell.cmp)) {
+            cell.cmp = idx;
+        }
+
+        if (!$hasProp(cell, "match") || $typeOf(cell.match) !== "String") {
+            cell.match = String(item.value).toUpperCase();
+        }
+
+        if ($typeOf(item.cssClass) === "String" && !cell.cssClass.includes(item.cssClass)) {
+            cell.cssClass.push(item.cssClass);
+        }
+
+    // the string is not one of the allowed values
+    } else if (cell.type === "String" || cell.type === "Number") {
+        cell.html = escapeHtml(String(cell.value));
+        cell.cmp = -1;
+        cell.match = html2text(cell.html).toUpperCase();
+        cell.cssClass.push("bad-value");
+
+    // the value is 'bad' (non-scalar type, null, undefined, etc.)
+    } else {
+        cell.html = undefined;
+        cell.cmp = -1;
+        cell.match = undefined;
+    }
+}
+
+
+// normalizes the cell of the 'intrange' data type
+function normalizeIntrange(cell) {
+
+    // (the ranges are compared by .cmpMin and .cmpMax only, even if .cmp was supplied)
+    delete cell.cmp;
+    delete cell.mask;
+
+    // check if the actually supplied value is true 'numeric'
+    // in which case the 'range' is simply a single numeric value
+    if (cell.type === "Number" && !isNaN(cell.value)) {
+
+        if (!$hasProp(cell, "html") || $typeOf(cell.html) !== "String") {
+            cell.html = cell.value.toString();
+        }
+
+        if (!$hasProp(cell, "cmpMin") || $typeOf(cell.cmpMin) !== "Number" || isNaN(cell.cmpMin)) {
+            cell.cmpMin = cell.value;
+        }
+
+        if (!$hasProp(cell, "cmpMax") || $typeOf(cell.cmpMax) !== "Number" || isNaN(cell.cmpMax)) {
+            cell.cmpMax = cell.value;
+        }
+
+        if (!$hasProp(cell, "match") || $typeOf(cell.match) !== "String") {
+            cell.match = cell.value.toString().toUpperCase();
+        }
+
+
+    // normally a 'range' would be represented by a properly formatted string
+    // where two positive integers are separated by non-numeric characters
+    } else if (cell.type === "String") {
+
+        const intrangeRegex = RegExp("([0-9]+)([^0-9]+([0-9]+))?");
+        const matches = intrangeRegex.exec(cell.value);
+
+        if (matches !== null) {
+            const rangeMin = parseInt(matches[1]);
+            const rangeMax = matches[3] !== undefined ? parseInt(matches[3]) : rangeMin;
+
+            if (!$hasProp(cell, "html") || $typeOf(cell.html) !== "String") {
+                cell.html = escapeHtml(cell.value);
+            }
+
+            if (!$hasProp(cell, "cmpMin") || $typeOf(cell.cmpMin) !== "Number" || isNaN(cell.cmpMin)) {
+                cell.cmpMin = rangeMin;
+            }
+
+            if (!$hasProp(cell, "cmpMax") || $typeOf(cell.cmpMax) !== "Number" || isNaN(cell.cmpMax)) {
+                cell.cmpMax = rangeMax;
+            }
+
+            if (!$hasProp(cell, "match") || $typeOf(cell.match) !== "String") {
+                cell.match = cell.value.toUpperCase();
+            }
+
+        // the value does not look like a correctly formatted range string
+        } else {
+            cell.html = escapeHtml(cell.value);
+            cell.cmpMin = Number.NEGATIVE_INFINITY;
+            cell.cmpMax = Number.NEGATIVE_INFINITY;
+            cell.match = html2text(cell.html).toUpperCase();
+            cell.cssClass.push("bad-value");
+        }
+
+    // the value is 'bad' (non-scalar type, null, undefined, etc.)
+    } else {
+        cell.html = undefined;
+        cell.cmpMin = Number.NEGATIVE_INFINITY;
+        cell.cmpMax = Number.NEGATIVE_INFINITY;
+        cell.match = undefined;
+    }
+}
+
+
+// normalizes the cell of the 'ip' data type
+function normalizeIp(cell) {
+
+    // (the addresses are compared by .cmpMin and .cmpMax only, even if .cmp was supplied)
+    delete cell.cmp;
+
+    // normally an 'ip' would be represented by a properly formatted string
+    // either in 'x.x.x.x' form or 'x.x.x.x /x' or 'x.x.x.x /x.x.x.x' or 'x:x::x' or 'x:x::x /x'
+    if (cell.type === "String") {
+
+        if (!$hasProp(cell, "html") || $typeOf(cell.html) !== "String") {
+            cell.html = escapeHtml(cell.value);
+        }
+
+        if (!$hasProp(cell, "match") || $typeOf(cell.match) !== "String") {
+            cell.match = html2text(cell.html).toUpperCase();
+        }
+
+        // convert the address into a numeric range (Number for IPv4, BigInt for IPv6),
+        // malformed addresses are treated as 0.0.0.0 /32 for the purposes of sorting and comparison
+        const ipRange = ip2range(cell.value);
+        const ipValue = ipRange || {min: 0, max: 0, mask: cidr2long(32)};
+
+        // user supplied representations are only accepted if they are of the same kind as the address
+        if (!$hasProp(cell, "cmpMin") || $typeOf(cell.cmpMin) !== $typeOf(ipValue.min) || Number.isNaN(cell.cmpMin)) {
+            cell.cmpMin = ipValue.min;
+        }
+
+        if (!$hasProp(cell, "cmpMax") || $typeOf(cell.cmpMax) !== $typeOf(ipValue.max) || Number.isNaN(cell.cmpMax)) {
+            cell.cmpMax = ipValue.max;
+        }
+
+        if (!$hasProp(cell, "mask") || $typeOf(cell.mask) !== $typeOf(ipValue.mask) || Number.isNaN(cell.mask)) {
+            cell.mask = ipValue.mask;
+        }
+
+        // the value does not look like a correctly formatted IP string
+        if (!ipRange) {
+            cell.cssClass.push("bad-value");
+        }
+
+    // the value is 'bad' (non-string or non-scalar type, null, undefined, etc.)
+    } else {
+        cell.html = undefined;
+        cell.cmpMin = Number.NEGATIVE_INFINITY;
+        cell.cmpMax = Number.NEGATIVE_INFINITY;
+        cell.match = undefined;
+    }
+}
+
+
+// normalizes the cell of the 'date' data type
+function normalizeDate(cell, column) {
+
+    // if JavaScript Date object is given, have it as is,
+    // if a number is given, treat it as Unix time stamp (allow both seconds or milliseconds)
+    if ((cell.type === "Date" && !isNaN(cell.value)) || (cell.type === "Number" && cell.value > 0)) {
+
+        // get date object (if needed, convert Unix timestamp)
+        const date = (cell.type === "Date")
+            ? cell.value
+            // assume Unix time stamp in seconds if the numeric value is reasonably low
+            : (new Date((cell.value < 10000000000) ? cell.value * 1000 : cell.value));
+
+        if (!$hasProp(cell, "html") || $typeOf(cell.html) !== "String") {
+            cell.html = escapeHtml(formatDate(date, column.dateFormat));
+        }
+
+        if (!$hasProp(cell, "cmp") || $typeOf(cell.cmp) !== "Number" || isNaN(cell.cmp)) {
+            cell.cmp = date.getTime();
+        }
+
+        if (!$hasProp(cell, "match") || $typeOf(cell.match) !== "String") {
+            cell.match = html2text(cell.html).toUpperCase();
+        }
+
+    // if a string is given, try and treat it as an ISO 8601 formatted date string
+    } else if (cell.type === "String") {
+
+        if (!$hasProp(cell, "html") || $typeOf(cell.html) !== "String") {
+            cell.html = escapeHtml(cell.value);
+        }
+
+        if (!$hasProp(cell, "match") || $typeOf(cell.match) !== "String") {
+            cell.match = html2text(cell.html).toUpperCase();
+        }
+
+        const date = new Date(cell.value.match(/^\d{4}-\d{2}-\d{2}$/) ? cell.value + "T12:00:00Z" : cell.value);
+
+        // if date formatting is OK, then process it as above
+        if (!isNaN(date)) {
+
+            if (!$hasProp(cell, "cmp") || $typeOf(cell.cmp) !== "Number" || isNaN(cell.cmp)) {
+                cell.cmp = date.getTime();
+            }
+
+        // otherwise, it is a malformed date string and should be flagged as such
+        } else {
+            cell.cmp = 0;
+            cell.cssClass.push("bad-value");
+        }
+
+    // the value is 'bad' (non-string or non-scalar type, null, undefined, etc.)
+    } else {
+        cell.cmp = 0;
+        cell.match = undefined;
+        cell.html = undefined;
+    }
+}
+
+
+// normalizes the cell of the 'version' data type
+function normalizeVersion(cell) {
+
+    // check if the actually supplied value is string or a positive number
+    if (cell.type === "String" || (cell.type === "Number" && cell.value > 0)) {
+
+        if (!$hasProp(cell, "html") || $typeOf(cell.html) !== "String") {
+            cell.html = escapeHtml(cell.value);
+        }
+
+        if (!$hasProp(cell, "cmp") || $typeOf(cell.cmp) !== "String") {
+            cell.cmp = version2hash(cell.value);
+        }
+
+        if (!$hasProp(cell, "match") || $typeOf(cell.match) !== "String") {
+            cell.match = html2text(cell.html).toUpperCase();
+        }
+
+    // the value is 'bad' (non-scalar type, null, undefined, etc.)
+    } else {
+        cell.cmp = "";
+        cell.match = undefined;
+        cell.html = undefined;
+    }
+}
+
+
+// normalizes the cell of the 'str' data type (also the default for the custom data types, see registerType())
+function normalizeText(cell) {
+
+    // check if the actually supplied value is a string
+    if (cell.type === "String") {
+
+        if (!$hasProp(cell, "html") || $typeOf(cell.html) !== "String") {
+            cell.html = escapeHtml(cell.value);
+        }
+
+        if (!$hasProp(cell, "cmp") || $typeOf(cell.cmp) !== "String") {
+            cell.cmp = cell.value.toUpperCase();
+        }
+
+        if (!$hasProp(cell, "match") || $typeOf(cell.match) !== "String") {
+            cell.match = html2text(cell.html).toUpperCase();
+        }
+
+    // last chance for a sane numeric / boolean value to become a string
+    } else if ((cell.type === "Number" && !isNaN(cell.value)) || cell.type === "Boolean") {
+        cell.html = escapeHtml(cell.value.toString());
+        cell.cmp = cell.value.toString().toUpperCase();
+        cell.match = cell.cmp;
+
+    // the value is 'bad' (non-scalar type, null, undefined, etc.)
+    } else {
+        cell.cmp = "";
+        cell.match = undefined;
+        cell.html = undefined;
+    }
+}
+
+
+// the 2nd operand of the 'str' data type (and of the others compared as text): the uppercase string,
+// due to the case-insensitive comparison promise that shall be kept
+function parseText(value, column, operator) {
+    const str = String(value).toUpperCase();
+    return rangeOperators.includes(operator) ? {min: str, max: str} : str;
+}
+
+
+// the numbers are compared as numbers (the decimals are kept, 'ports > 1.5' is not 'ports > 1'),
+// but matched as text
+function parseNumber(value, column, operator) {
+
+    if (!rangeOperators.includes(operator)) {
+        return String(value).toUpperCase();
+    }
+
+    const num = (String(value).trim() !== "") ? Number(value) : NaN;
+    return isNaN(num) ? {error: "Bad number: " + value} : {min: num, max: num};
+}
+
+
+// boolean values are matched as 'TRUE', 'FALSE' or an empty string (unknown) and compared as numbers: unknown (-1),
+// false (0) and true (1), any of the words or labels meaning true / false can be used (see parseBool())
+function parseBoolValue(value, column, operator) {
+
+    const bool = parseBool(value, column);
+
+    if (bool === undefined) {
+        return {error: "Bad boolean value: " + value};
+    }
+
+    const num = (bool === null) ? -1 : Number(bool);
+    return rangeOperators.includes(operator) ? {min: num, max: num} : ((bool === null) ? "" : String(bool).toUpperCase());
+}
+
+
+// sizes and durations are compared as the numbers of bytes / seconds (the units are optional) and matched
+// as they are displayed in the units of the column (so that '1GB' matches '1000 MB', see formatUnits()),
+// which means the rounded values (see warnRoundedUnits())
+function parseUnits(value, column, operator) {
+
+    const num = (column.type === "bytes") ? parseBytes(value) : parseDuration(value);
+
+    if (num === undefined) {
+        return {error: "Bad " + (column.type === "bytes" ? "size: " : "duration: ") + value};
+    }
+
+    return rangeOperators.includes(operator) ? {min: num, max: num} : formatUnits(num, column).toUpperCase();
+}
+
+
+// MAC addresses are matched written with colons (so that any notation of the address can be used in the filter)
+// and compared as Numbers, the prefix (like the OUI) being the range of addresses, which can also be used
+// in the list of values and which the address must belong to for the @= operator (the list of one prefix)
+function parseMac(value, column, operator) {
+
+    const range = mac2range(value);
+
+    if (matchOperators.includes(operator)) {
+        return (range && range.min === range.max) ? formatMac(range.min).toUpperCase() : {error: "Bad MAC address: " + value};
+    } else if (operator === "@=") {
+        return range ? [range] : {error: "Bad MAC address or prefix: " + value};
+    }
+
+    return range ? range : {error: "Bad MAC address: " + value};
+}
+
+
+// the domain the host name or the e-mail address must be within for the @= operator (in uppercase),
+// written with or without the leading '*.', '@' or '.' and the trailing dot
+function parseDomain(value) {
+    const domain = String(value).trim().replace(/^[*@]?\.?/, "").replace(/\.$/, "");
+    return isHostname(domain) ? domain.toUpperCase() : {error: "Bad domain name: " + value};
+}
+
+
+// host names are compared by their labels in the reverse order (see parseAddress())
+function parseHostname(value, column, operator) {
+
+    if (operator === "@=") {
+        return parseDomain(value);
+    }
+
+    if (!rangeOperators.includes(operator)) {
+        return String(value).toUpperCase();
+    }
+
+    const str = String(value).trim().replace(/\.$/, "").toUpperCase().split(".").reverse().join(" ");
+    return {min: str, max: str};
+}
+
+
+// e-mail addresses are compared as text, except for the @= operator
+function parseEmail(value, column, operator) {
+    return (operator === "@=") ? parseDomain(value) : parseText(value, column, operator);
+}
+
+
+// the allowed values are compared by their position in the list of the allowed values (see 'values' in 'specs.yml')
+// and matched as the allowed values in uppercase, even if given by their labels (other values are kept as they are,
+// as the values not allowed for the column may still be found in the data, see normalizeEnum())
+function parseEnum(value, column, operator) {
+
+    const idx = findEnumValue(value, column);
+
+    if (rangeOperators.includes(operator)) {
+        return (idx === -1) ? {error: "Unknown value: " + value} : {min: idx, max: idx};
+    }
+
+    return String((idx === -1) ? value : getEnumValues(column)[idx].value).toUpperCase();
+}
+
+
+// IP addresses are compared using long int representation (Number for IPv4 and BigInt for IPv6),
+// the subnet being the range of addresses (also in the list of values and for the @= operator)
+function parseIp(value, column, operator) {
+
+    if (matchOperators.includes(operator)) {
+        return String(value).toUpperCase();
+    }
+
+    const range = ip2range(value);
+    return range ? {min: range.min, max: range.max} : {error: "Bad IP address: " + value};
+}
+
+
+// dates are compared as Unix Time (see date2range()), a date being the whole day from midnight to midnight UTC
+function parseDate(value, column, operator) {
+
+    if (!rangeOperators.includes(operator)) {
+        return String(value).toUpperCase();
+    }
+
+    const range = date2range(value, Date.now());
+    return ($typeOf(range) === "String") ? {error: range} : range;
+}
+
+
+// versions are compared as hashes (see version2hash())
+function parseVersion(value, column, operator) {
+    const hash = version2hash(value);
+    return rangeOperators.includes(operator) ? {min: hash, max: hash} : String(value).toUpperCase();
+}
+
+
+// registers the data type that can be used for the columns (see 'type' in 'specs.yml'), the built-in types are
+// registered below, and the custom ones can be registered by 'data.js' (before the data is normalized), registering
+// the type with the name already known replaces that type, the definition is an object with the following functions
+// (each one is optional, the type then behaves like 'str' in that respect):
+//
+//     normalize(cell, column)
+//         fills in the .html, .match and .cmp (or .cmpMin and .cmpMax, for the types compared as ranges)
+//         representations of the cell from its .value (see normalizeValue() for the rules), the .match defaults
+//         to the displayed text in uppercase and the .cmp defaults to the .match
+//
+//     parseFilterValue(value, column, operator)
+//         converts the value from the filter expression into the 2nd operand of the given comparison operator:
+//         a String matched against .match for =, == and != (and IN / NOT IN), an object {min: ..., max: ...}
+//         compared with .cmp (or .cmpMin / .cmpMax) for <, >, <=, >= and BETWEEN (IN / NOT IN also accept
+//         those as the ranges the value must be within) and the form the @= operator understands
+//         (see 'evaluate.js'), or an object {error: 'message'} if the value cannot be used
+//
+//     compare(a, b)
+//         compares two cells (negative, zero or positive number, like Array.prototype.sort() wants) for sorting,
+//         grouping and the min / max aggregates, without it the cells are compared by their .cmp (or .cmpMin /
+//         .cmpMax) representations, which is what all the built-in data types do
+//
+//     format(value, column)
+//         returns the HTML displaying the value given in its .cmp form (e.g. the sums and the averages of the column,
+//         see 'aggregates.js')
+//
+// and the object 'operators' telling which comparison operators can be used with the data type: any operator
+// not listed can be used, 'false' means the operator cannot be used with the data type, and a function means
+// the operator can be used but the result may be not what the user expects, so the function returns
+// the warning message (or an empty string if there is nothing to warn about) for the given column, value and operator
+//
+// the custom data types are not quite equal to the built-in ones in two respects:
+//
+//     - the filter is evaluated by 'evaluate.js' the same way for all data types, by comparing the 2nd operand
+//       with the .match, .cmp, .cmpMin, .cmpMax and .mask representations of the cells, so the data type decides
+//       how its values are matched only through those representations and the operands it makes of the values
+//     - the built-in data types are sorted in the Web Worker, but the 'compare' function cannot be passed
+//       to it, so the whole table is sorted in the main thread whenever any of the sort columns has such type,
+//       which blocks the page while sorting large tables (a warning is logged in the console the first time),
+//       the data type should rather produce the .cmp representation sorted the right way, if it can
+function registerType(name, definition = {}) {
+
+    types[name] = {
+        normalize:        normalizeText,
+        parseFilterValue: parseText,
+        compare:          undefined,
+        format:           (value) => escapeHtml(String(value)),
+        operators:        {"@=": false},
+        ...definition
+    };
+}
+
+
+// returns the definition of the data type (see registerType()), the unknown data types are treated as 'str'
+function getType(name) {
+    return types[$hasProp(types, name || "str") ? name || "str" : "str"];
+}
+
+
+// the data for the table cell may come from 'untrusted' source and in somewhat 'relaxed' format
+// it needs to be normalized using: a) 'specs.yml' b) common sense  c) some JavaScript types voodoo
+//
+// you can stop reading here, the rest of the knowledge would be required if something looks broken
+//
+// the supported data types are: 'str', 'int', 'float', 'bool', 'bytes', 'duration', 'enum', 'intrange', 'ip', 'mac', 'hostname',
+// 'url', 'email', 'date', 'version' (registered at the end of this module) plus the custom ones (see registerType()),
+// each of those data types does its part of the work (see 'normalize' in registerType()) and must allow sensible comparison operations as well as direct/regex matching,
+// therefore, several different internal representations of the initially supplied value are required:
+//
+//     .html    "what should be displayed" in the table cell (may or may not look like the actual value)
+//     .match   "case insensitive string representation" for =, !=, ~, !~ matching
+//     .cmp     "integer OR hashed string representation" for <, > comparison and sorting
+//     .cmpMin  "min integer" for 'intrange', 'ip' and 'mac' data types and < comparison only
+//     .cmpMax  "max integer" for 'intrange', 'ip' and 'mac' data types and > comparison only
+//     .mask    "integer netmask representation" for 'ip' data type (the @= comparison uses .cmpMin/.cmpMax)
+//
+// it is not expected that these representations should be supplied together with the raw value, since
+// most of them can be automatically derived from the initial value (unless special/unique logic is required)
+//
+// the function below takes care about creating those representations for a given cell and normally should
+// never be run more than once per cell, being a part of preRenderBody()
+//
+// in certain cases the conversion to various representations relies on the formatting of the initial value,
+// especially when the data type allows various options (like 'date' or 'intrange' or 'ip', etc.), so the rules
+// of conversion are as follows:
+//
+// 1. the data type (defined in 'specs.yml') will always be considered as the basis of all conversion logic
+// 2. non-trivial data types (not 'int' / 'str') must have initial value formatted in a certain way (see below)
+// 3. any of the representation(s) (like .cmp or .match, etc.) can be user-supplied but they must fit the type
+// 4. if the supplied representation does not fit the type (for example .cmpMin for a 'str'), it'll be removed
+// 5. if the supplied value type or its expected formatting does not match the defined type, and the automated
+//    conversion is impossible, the representations will be set to special 'bad' value (see below)
+//
+// the expected formatting for non-trivial data types is as follows:
+//
+// intrange: either a single integer or a string with two positive integers separated by non-numeric characters
+//           other characters (anything before the first integer and all characters after the second integer)
+//           will be discarded
+//
+// date:     can be given in 3 different formats:
+//               1) as an actual JavaScript Date object
+//               2) as a positive integer, representing milliseconds since January 1, 1970, 00:00:00 UTC
+//               3) as an ISO 8601 formatted date string (or any other string compatible with Date.parse())
+//
+// ip:       both IPv4 and IPv6 addressing is supported (and both can be mixed in the same column)
+//           the valid IPv4 address value should be a string containing the IP address in a form int.int.int.int
+//           followed by optional netmask specification, either in the int.int.int.int or /int format
+//           if the netmask is omitted or badly formatted, it will be automatically set to /32 (i.e., 1 host)
+//           the valid IPv6 address value should be a string containing the IP address in any of the standard
+//           forms (full, compressed with '::' or with dotted IPv4 in the last 32 bits) followed by optional /int
+//           prefix length, if the prefix length is omitted or badly formatted, it will be set to /128 (1 host)
+//           all the characters before the address and after the netmask value will be ignored
+//           IPv4 representations (.cmpMin, .cmpMax, .mask) are Number values, IPv6 ones are BigInt values
+//
+// float:    a number or a string that is a valid number (like '0.75' or '1e-3'), displayed with the precision
+//           and the rounding set for the column (if any), the .match representation is the displayed text
+//
+// bool:     a boolean value, or a number or a string meaning true or false (like 1, 'yes', 'off', see boolWords{}),
+//           'null' or 'undefined' (or an empty string) is the unknown value (which is not a bad value),
+//           displayed using the labels set for the column, the .match representation is 'TRUE', 'FALSE'
+//           or an empty string and the .cmp representation is 1, 0 or -1 (unknown)
+//
+// bytes:    a number of bytes or a string with a number followed by an optional unit, decimal or binary one
+//           (like '1.5GB', '512 MiB', '10k', see byteUnits{}), the .cmp representation is the number of bytes,
+//           the .html (and .match) representation is the size in the units set for the column (see formatUnits())
+//
+// duration: a number of seconds or a string with numbers each followed by a unit (like '90s', '2h30m', '1d 12h',
+//           see durationUnits{}), the .cmp representation is the number of seconds, the .html (and .match)
+//           representation is the duration in the units set for the column (see formatUnits())
+//
+// mac:      a string with the MAC address in any of the usual notations ('00:1a:2b:3c:4d:5e', '00-1A-2B-3C-4D-5E',
+//           '001a.2b3c.4d5e'), displayed as '00:1a:2b:3c:4d:5e', the .cmpMin and .cmpMax representations are both
+//           the address as a Number (i.e. the range of one address, to be matched against the OUI prefixes)
+//
+// hostname: a string with the host name or the fully qualified domain name, displayed in lowercase (without the
+//           trailing dot), the .cmp representation is the uppercase name with its labels in the reverse order
+//           (e.g. 'COM EXAMPLE WWW'), so that the hosts are sorted by their domains
+//
+// url:      a string with an absolute URL with one of the safe schemes (see safeProtocols[]), displayed as a link
+//
+// email:    a string with an e-mail address, displayed as a 'mailto:' link
+//
+// enum:     a string (or a number) that is one of the values allowed for the column (see 'values' in 'specs.yml'),
+//           or the label of one of them, displayed as its label (in its colour) and with its CSS class, the .cmp
+//           representation is the position of the value in the list (so it is sorted in the declared order)
+//           and the .match representation is the allowed value itself (not its label)
+//
+// version:  usually can be any string but typically it is expected that it is something like 'x.x.x-blah-x'
+//           to which a hashing function will be applied to obtain the .cmp representation, see comments to the
+//           version2hash() function to check for its limitations and assumptions
+//
+// when the supplied data does not match the defined type, it needs to be handled in a special way
+// firstly, a check is made if the automated conversion could be possible (like between some integers and strings)
+// when the auto-handling is impossible and/or the value is weird (for example, 'undefined' or 'NaN' or 'null' or
+// Object/Array is supplied instead of scalar type), 2 decisions will have to be taken:
+//     - what to show in the table cell (i.e., what should the .html representation be like)
+//     - what should be the special values for internal representation of a 'bad' data that will affect sorting
+//
+// with regards to the '.html' representation of the 'bad' value, the following logic will be used:
+//     - if the supplied value is a specially formatted string (like 'ip', 'intrange', 'date', 'version')
+//       but formatting is bad, the actual string value will be retained (but see notes about CSS class below)
+//     - otherwise, if the user has supplied the .htmlAlt value for a particular cell, it will be used
+//     - otherwise, if there exists .htmlAlt value defined in 'specs.yml' for the whole column, it will be used
+//     - otherwise, if there exists .htmlAlt value defined in 'specs.yml' for the whole table, it will be used
+//     - otherwise, a "string representation of the bad value" will be used (like "Null", "Undefined", etc.)
+//     - in addition, the CSS class 'bad-value' will be automatically applied to each cell containing bad value
+//
+// it is important to note, that every time the '.html' representation changes due to a 'bad value' encountered,
+// the '.match' representation will also be automatically adjusted accordingly in order to allow using filter
+// expressions containing =, !=, ~, !~ on the bad values
+//
+// with regards to the .cmp*/.mask* representations of the 'bad' value, the following rules apply:
+//
+//     - for 'int', 'float', 'bytes', 'duration', 'intrange' and 'mac' data type, the .cmp* value(s) will be set to Number.NEGATIVE_INFINITY
+//     - for 'bool' the .cmp value will be set to -1 (same as the unknown value)
+//     - for 'enum' the .cmp value will be set to -1 (before all the allowed values)
+//     - for 'str', 'version', 'hostname', 'url' and 'email' the .cmp value will be set to empty string
+//     - for 'ip' the .cmp and .mask values will be set to an equivalent of 0.0.0.0 /0
+//     - for 'date' the .cmp value will be an equivalent of Unix time stamp 0 (January 1, 1970, 00:00:00 UTC)
+//
+// the columns holding lists of values (see 'multi' in 'specs.yml') are normalized by normalizeList() below
+//
+function normalizeValue(row, column) {
+
+    if (column.multi === true) {
+        normalizeList(row, column);
+        return;
+    }
+
+    // check if supplied value is already an object
+    if ($typeOf(row[column.key]) === "Object") {
+
+        // if .value was not provided but .html was, convert 'html' to 'value'
+        if (!$hasProp(row[column.key], "value") &&
+                $hasProp(row[column.key], "html") &&
+                $typeOf(row[column.key].html) === "String") {
+            row[column.key].value = html2text(row[column.key].html);
+        }
+
+    // if a 'shorthand' syntax was used to supply initial value
+    // (i.e. just the value given directly not embedded inside an object),
+    // re-create current cell's data as an object with a single .value property
+    } else {
+        row[column.key] = {value: row[column.key]};
+    }
+
+    // use shortcuts to get to most commonly used properties and values
+    const cell = row[column.key];
+    cell.type = $typeOf(cell.value);
+
+    // normalize cssClass into array (if not already)
+    value2array(cell, "cssClass");
+
+    // the data type does the actual conversion (see 'normalize' in registerType())
+    getType(column.type).normalize(cell, column);
+
+    // handle 'bad' value situation (mismatched value type vs declared type)
+    // set .html and then .match accordingly using all possible fallback .htmlAlt possibilities
+    if (cell.html === undefined) {
+
+        if ($hasProp(cell, "htmlAlt") && $typeOf(cell.htmlAlt) === "String") {
+            cell.html = cell.htmlAlt;
+        } else if ($hasProp(column, "htmlAlt") && $typeOf(column.htmlAlt) === "String") {
+            cell.html = column.htmlAlt;
+        } else if ($hasProp(yaml.specs.options, "htmlAlt") && $typeOf(yaml.specs.options.htmlAlt) === "String") {
+            cell.html = yaml.specs.options.htmlAlt;
+        } else {
+            cell.html = cell.type;
+        }
+
+        cell.match = html2text(cell.html).toUpperCase();
+
+        cell.cssClass.push("bad-value");
+    }
+
+    // the cell may be normalized more than once (e.g. again when the view changes), the 'bad-value' class is kept once
+    cell.cssClass = cell.cssClass.filter((cssClass, idx) => cssClass !== "bad-value" || cell.cssClass.indexOf(cssClass) === idx);
+
+    // the representations the data type has left out (the custom types may do so) are derived from the displayed text
+    if (!$hasProp(cell, "match")) {
+        cell.match = html2text(cell.html).toUpperCase();
+    }
+
+    if (!$hasProp(cell, "cmp") && !$hasProp(cell, "cmpMin")) {
+        cell.cmp = cell.match;
+    }
+
+    // cleansing operation to make sure that what shouldn't exist, does not (even if supplied by the user),
+    // the cells are compared either by .cmp or by .cmpMin and .cmpMax (the range types remove .cmp themselves)
+    if ($hasProp(cell, "cmp")) {
+        ["cmpMin", "cmpMax", "mask"].filter(key => $hasProp(cell, key)).forEach(key => delete cell[key]);
+    }
+}
+
+
+// normalizes the cell of the column holding the list of values (see 'multi' in 'specs.yml'), where each item
+// of the list is normalized the same way as the single value of that data type (see normalizeValue() above),
+// a single value is taken as the list of one item and the missing value as the empty list
+// the items (each having all the representations needed for filtering) are kept in the .items property,
+// while the cell gets the .html and .match representations of the whole list plus the .cmpMin and .cmpMax
+// representations being the lowest and the highest of the items, so that the rows are sorted by the lowest
+// item in the ascending order and by the highest one in the descending order (the same as 'intrange')
+function normalizeList(row, column) {
+
+    if ($typeOf(row[column.key]) !== "Object") {
+        row[column.key] = {value: row[column.key]};
+    }
+
+    const cell = row[column.key];
+    const itemColumn = {...column, key: "value", multi: false};
+
+    // (each item is normalized in a 'row' of its own, where the item is the only cell)
+    const normalize = (value) => {
+        const itemRow = {value: value};
+        normalizeValue(itemRow, itemColumn);
+        return itemRow.value;
+    };
+
+    cell.type = $typeOf(cell.value);
+    value2array(cell, "cssClass");
+
+    if (Array.isArray(cell.value)) {
+        cell.items = cell.value.map(normalize);
+    } else {
+        cell.items = (cell.value === undefined || cell.value === null) ? [] : [normalize(cell.value)];
+    }
+
+    // the items are displayed one per line or as the 'chips', the separators are only there for the text version
+    if (!$hasProp(cell, "html") || $typeOf(cell.html) !== "String") {
+        cell.html = "<span class=\"list list-" + (column.listStyle === "chips" ? "chips" : "lines") + "\">" + cell.items.map(item =>
+            "<span class=\"" + ["list-item", ...item.cssClass].join(" ") + "\">" + item.html + "</span>"
+        ).join("<span class=\"list-separator\">, </span>") + "</span>";
+    }
+
+    if (!$hasProp(cell, "match") || $typeOf(cell.match) !== "String") {
+        cell.match = cell.items.map(item => item.match).join(", ");
+    }
+
+    // the empty list is sorted as the bad value of the data type
+    const cmpValues = cell.items.length ? cell.items : [normalize(undefined)];
+    const lowest = cmpValues.map(item => $hasProp(item, "cmpMin") ? item.cmpMin : item.cmp);
+    const highest = cmpValues.map(item => $hasProp(item, "cmpMax") ? item.cmpMax : item.cmp);
+
+    cell.cmpMin = lowest.reduce((min, value) => (value < min) ? value : min);
+    cell.cmpMax = highest.reduce((max, value) => (value > max) ? value : max);
+
+    ["cmp", "mask"].filter(key => $hasProp(cell, key)).forEach(key => delete cell[key]);
+}
+
+
+// the built-in data types (see normalizeValue() about their values and registerType() about the definitions)
+registerType("str", {
+    operators: {"@=": false, "<": warnTextOrder, ">": warnTextOrder, "<=": warnTextOrder, ">=": warnTextOrder, "BETWEEN": warnTextOrder}
+});
+
+registerType("int", {
+    normalize:        normalizeInt,
+    parseFilterValue: parseNumber,
+    format:           (value) => String(value),
+    operators:        {"@=": false, "~": warnRegexNumber, "!~": warnRegexNumber}
+});
+
+registerType("float", {
+    normalize:        normalizeFloat,
+    parseFilterValue: parseNumber,
+    format:           (value, column) => escapeHtml(formatFloat(value, column)),
+    operators:        {"@=": false, "~": warnRegexNumber, "!~": warnRegexNumber}
+});
+
+registerType("bool", {
+    normalize:        normalizeBool,
+    parseFilterValue: parseBoolValue,
+    format:           (value, column) => getBoolLabels(column)[["unknown", "false", "true"][value + 1]],
+    operators:        {"@=": false}
+});
+
+["bytes", "duration"].forEach(name => registerType(name, {
+    normalize:        normalizeUnits,
+    parseFilterValue: parseUnits,
+    format:           (value, column) => escapeHtml(formatUnits(value, column)),
+    operators:        {"@=": false, "~": warnRegexNumber, "!~": warnRegexNumber, "=": warnRoundedUnits, "==": warnRoundedUnits, "!=": warnRoundedUnits}
+}));
+
+registerType("enum", {
+    normalize:        normalizeEnum,
+    parseFilterValue: parseEnum,
+    format:           (value, column) => escapeHtml(String(getEnumValues(column)[value] ? getEnumValues(column)[value].value : "")),
+    operators:        {"@=": false}
+});
+
+registerType("intrange", {
+    normalize:        normalizeIntrange,
+    parseFilterValue: parseNumber,
+    operators:        {"@=": false, "~": warnRegexNumber, "!~": warnRegexNumber}
+});
+
+registerType("ip", {
+    normalize:        normalizeIp,
+    parseFilterValue: parseIp,
+    operators:        {}
+});
+
+registerType("mac", {
+    normalize:        normalizeAddress,
+    parseFilterValue: parseMac,
+    format:           (value) => formatMac(value),
+    operators:        {}
+});
+
+registerType("hostname", {
+    normalize:        normalizeAddress,
+    parseFilterValue: parseHostname,
+    operators:        {}
+});
+
+registerType("url", {
+    normalize: normalizeAddress
+});
+
+registerType("email", {
+    normalize:        normalizeAddress,
+    parseFilterValue: parseEmail,
+    operators:        {}
+});
+
+registerType("date", {
+    normalize:        normalizeDate,
+    parseFilterValue: parseDate,
+    format:           (value, column) => escapeHtml(formatDate(new Date(value), column.dateFormat)),
+    operators:        {"@=": false, "=": warnDateFormat, "==": warnDateFormat, "!=": warnDateFormat, "IN": warnDateFormat, "NOT IN": warnDateFormat}
+});
+
+registerType("version", {
+    normalize:        normalizeVersion,
+    parseFilterValue: parseVersion
+});
+
+
+// this module provides the data types of the columns: the normalization of the values, the conversion
+// of the filter operands, sorting and displaying of the values, with the custom data types registered by 'data.js'
+export {registerType, getType, normalizeValue};
@@ -0,0 +1,52 @@
+/* eslint-env worker */
+
+// this module is the Web Worker script that performs data filtering and sorting away from the main thread
+// (so that the web page stays responsive), see 'filtersort.js' for the other side of the conversation
+//
+// the messages received from the main thread are objects with the following properties:
+//
+//     .id         unique (increasing) request ID that is sent back together with the result
+//     .action     'init', 'filter' or 'sort'
+//     .rows       the representations of all data rows ('init' only, sent once)
+//     .filterRPN  the filter expression in Reverse Polish Notation, already checked and converted ('filter' only)
+//     .sortKeys   the list of sort keys ('sort' only)
+//     .rowIDs     the list of row IDs in their current order, to be sorted ('sort' only)
+//
+// the results are posted back as objects with .id, .action and .result properties
+import {filterRows, sortRows} from "./evaluate.js";
+
+
+// the representations of all data rows needed for filtering and sorting
+let rows = [];
+
+// the ID of the most recent request for each action, an older request is cancelled as soon as a newer one arrives
+const latest = {};
+
+
+self.addEventListener("message", async (event) => {
+
+    const {id, action} = event.data;
+
+    latest[action] = id;
+
+    // keep the data rows for all future requests
+    if (action === "init") {
+        rows = event.data.rows;
+
+    // filter the rows, and send back the result unless the request has been cancelled in the meantime
+    } else if (action === "filter") {
+
+        const result = await filterRows(event.data.filterRPN, rows, () => latest.filter !== id);
+
+        if (result !== undefined) {
+            self.postMessage({id: id, action: action, result: result}, result instanceof Uint8Array ? [result.buffer] : []);
+        }
+
+    // sort the list of row IDs and send it back
+    } else if (action === "sort") {
+
+        const result = sortRows(event.data.sortKeys, rows, event.data.rowIDs);
+
+        self.postMessage({id: id, action: action, result: result}, [result.buffer]);
+    }
+});